@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+
+const { main, ExitCode } = require('../src/cli');
+
+const controller = new AbortController();
+
+// First Ctrl-C stops the batch and keeps finished results; a second one exits now
+process.once('SIGINT', () => {
+    controller.abort();
+    process.once('SIGINT', () => process.exit(ExitCode.INTERRUPTED));
+});
+
+main(process.argv.slice(2), { signal: controller.signal }).then(code => {
+    process.exitCode = code;
+});
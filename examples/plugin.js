@@ -2,7 +2,7 @@
  * Example: Custom Plugin
  */
 
-const { WhatsAppValidator } = require('@whatsapp-tools/account-validator');
+const { WhatsAppValidator, WebhookNotifier } = require('@whatsapp-tools/account-validator');
 
 // Define custom plugin
 const notificationPlugin = {
@@ -18,9 +18,9 @@ const notificationPlugin = {
         if (result.ban.isBanned) {
             console.log(`[ALERT] Account ${result.number} is ${result.ban.type}`);
 
-            // You could send email, SMS, webhook, etc.
+            // You could send email, SMS, etc.
             // await sendEmail({ ... });
-            // await sendWebhook({ ... });
+            // For webhooks, use the built-in WebhookNotifier (below)
         }
     }
 };
@@ -64,6 +64,16 @@ async function pluginExample(conn) {
 
     validator.registerPlugin(metricsPlugin);
 
+    // Signed, batched webhook with retries - only for verdicts that changed
+    const webhook = new WebhookNotifier({
+        url: 'https://alerts.example.com/whatsapp',
+        secret: process.env.WEBHOOK_SECRET,
+        onlyChanges: true,
+        deadLetterPath: './webhook-dead-letter.ndjson'
+    });
+
+    validator.registerPlugin(webhook);
+
     // Listen to plugin events
     validator.on('plugin_registered', ({ name, version }) => {
         console.log(`Plugin loaded: ${name} v${version}`);
@@ -77,6 +87,9 @@ async function pluginExample(conn) {
     const result = await validator.validate('201234567890');
 
     console.log('\nResult:', result.summary);
+
+    // Deliver queued webhook events before exiting
+    await webhook.destroy();
 }
 
 module.exports = pluginExample;
@@ -0,0 +1,76 @@
+/**
+ * Append-only JSON-lines log behind the file-backed stores
+ *
+ * @module @whatsapp-tools/account-validator/append-log
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * One JSON record per line. The owning store replays the log on startup,
+ * appends every change, and rewrites the log with only its live records
+ * once it holds `compactionRatio` times more lines than live keys (and at
+ * least `compactionMinLines`).
+ */
+class AppendLog {
+    constructor(options = {}) {
+        this.filePath = options.filePath;
+        this.compactionRatio = options.compactionRatio || 2;
+        this.compactionMinLines = options.compactionMinLines || 1000;
+        this.lines = 0;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    /**
+     * Call `apply(record)` for every record, oldest first
+     */
+    replay(apply) {
+        if (!fs.existsSync(this.filePath)) return;
+
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+
+        for (const line of raw.split('\n')) {
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // Torn write from a crash - the rest of the log is still usable
+                continue;
+            }
+
+            this.lines++;
+            apply(record);
+        }
+    }
+
+    /**
+     * Append one record; true once the log is due for a rewrite
+     */
+    append(record, liveKeys) {
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        this.lines++;
+
+        return this.lines >= this.compactionMinLines && this.lines > liveKeys * this.compactionRatio;
+    }
+
+    /**
+     * Replace the log with `records`. The new log is written aside and
+     * renamed over the old one, so a crash leaves one or the other intact.
+     */
+    rewrite(records) {
+        const tmpPath = `${this.filePath}.tmp`;
+        const lines = records.map(record => JSON.stringify(record));
+
+        fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+        fs.renameSync(tmpPath, this.filePath);
+        this.lines = lines.length;
+    }
+}
+
+module.exports = {
+    AppendLog
+};
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AppendLog } = require('./append-log');
+const { FileCacheStore } = require('./cache-stores');
+
+describe('AppendLog', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-log-'));
+        filePath = path.join(dir, 'nested', 'log.ndjson');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('replays appended records in order and counts lines', () => {
+        const log = new AppendLog({ filePath });
+        log.append({ n: 1 }, 1);
+        log.append({ n: 2 }, 2);
+
+        const replayed = [];
+        const reopened = new AppendLog({ filePath });
+        reopened.replay(record => replayed.push(record.n));
+
+        expect(replayed).toEqual([1, 2]);
+        expect(reopened.lines).toBe(2);
+    });
+
+    test('skips torn lines', () => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, '{"n":1}\n{"n":\n{"n":3}\n');
+
+        const replayed = [];
+        new AppendLog({ filePath }).replay(record => replayed.push(record.n));
+
+        expect(replayed).toEqual([1, 3]);
+    });
+
+    test('append() reports when a rewrite is due', () => {
+        const log = new AppendLog({ filePath, compactionMinLines: 3, compactionRatio: 2 });
+
+        expect(log.append({ n: 1 }, 1)).toBe(false);
+        expect(log.append({ n: 2 }, 1)).toBe(false);
+        expect(log.append({ n: 3 }, 1)).toBe(true);
+
+        log.rewrite([{ n: 3 }]);
+        expect(log.lines).toBe(1);
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('{"n":3}\n');
+        expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+    });
+});
+
+describe('FileCacheStore', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-cache-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('restores live entries in LRU order and drops expired ones', () => {
+        const filePath = path.join(dir, 'cache.ndjson');
+        const now = Date.now();
+        const store = new FileCacheStore({ filePath });
+        store.set('a', { data: 1, expiresAt: now + 60000 });
+        store.set('b', { data: 2, expiresAt: now + 60000 });
+        store.set('old', { data: 3, expiresAt: now - 1 });
+        store.set('a', { data: 4, expiresAt: now + 60000 });
+
+        const reopened = new FileCacheStore({ filePath });
+
+        expect([...reopened.entries()].map(([key, entry]) => [key, entry.data])).toEqual([['b', 2], ['a', 4]]);
+    });
+
+    test('clear() empties the log', () => {
+        const filePath = path.join(dir, 'cache.ndjson');
+        const store = new FileCacheStore({ filePath });
+        store.set('a', { data: 1, expiresAt: Date.now() + 60000 });
+        store.clear();
+
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('');
+        expect(new FileCacheStore({ filePath }).size()).toBe(0);
+    });
+});
@@ -0,0 +1,298 @@
+/**
+ * Resumable batch jobs with on-disk checkpoints
+ *
+ * @module @whatsapp-tools/account-validator/batch-job
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PluginHook } = require('./plugin-hooks');
+
+const CHECKPOINT_VERSION = 1;
+
+const JobState = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',
+    ABORTED: 'aborted',
+    FAILED: 'failed'
+};
+
+// ============================================================================
+// BATCH JOB
+// ============================================================================
+
+/**
+ * Chunked batch validation that survives restarts.
+ *
+ * After every chunk the completed results and the cursor are written to
+ * `<checkpointDir>/<jobId>.json`. Running a job whose checkpoint exists
+ * picks up at the cursor without re-probing finished numbers. Progress is
+ * reported through the validator's `batch_*` events, tagged with `jobId`.
+ */
+class BatchJob {
+    constructor(validator, phoneNumbers = null, options = {}) {
+        this.validator = validator;
+        this.jobId = options.jobId || crypto.randomUUID();
+        this.checkpointDir = options.checkpointDir || path.join(process.cwd(), '.wa-validator-jobs');
+        this.checkpointPath = path.join(this.checkpointDir, `${this.jobId}.json`);
+        this.batchSize = options.batchSize || 5;
+        this.delayBetweenBatches = options.delayBetweenBatches !== undefined ? options.delayBetweenBatches : 2000;
+        this.validateOptions = options.validateOptions || {};
+
+        this.numbers = phoneNumbers;
+        this.results = [];
+        this.cursor = 0;
+        this.state = JobState.PENDING;
+        this.createdAt = Date.now();
+        this.startedAt = null;
+        this.updatedAt = null;
+        this.error = null;
+
+        this.pauseRequested = false;
+        this.resumeWaiter = null;
+    }
+
+    /**
+     * Run (or continue) the job; resolves with one result per number
+     */
+    async run(options = {}) {
+        const signal = options.signal;
+
+        if (this.state === JobState.RUNNING || this.state === JobState.PAUSED) {
+            throw new Error(`Job ${this.jobId} is already running`);
+        }
+
+        await this._restore();
+
+        this.state = JobState.RUNNING;
+        this.startedAt = Date.now();
+
+        const total = this.numbers.length;
+        this.validator.emit('batch_start', { jobId: this.jobId, total, resumedAt: this.cursor });
+        await this.validator._runPluginHooks(PluginHook.BATCH_START, {
+            jobId: this.jobId,
+            total,
+            numbers: this.numbers,
+            options: this.validateOptions
+        });
+
+        try {
+            while (this.cursor < total) {
+                if (this.pauseRequested) {
+                    await this._waitForResume(signal);
+                }
+
+                if (signal && signal.aborted) break;
+
+                const chunk = this.numbers.slice(this.cursor, this.cursor + this.batchSize);
+                const chunkResults = await Promise.all(
+                    chunk.map(num => this.validator._validateIsolated(num, { ...this.validateOptions, signal }))
+                );
+
+                // An interrupted chunk is redone on resume; its finished numbers hit the cache
+                if (chunkResults.some(r => r.aborted)) break;
+
+                this.results.push(...chunkResults);
+                this.cursor += chunk.length;
+                await this._checkpoint();
+
+                this.validator.emit('batch_progress', { jobId: this.jobId, completed: this.cursor, total });
+
+                if (this.cursor < total && this.delayBetweenBatches > 0) {
+                    await delay(this.delayBetweenBatches, signal);
+                }
+            }
+        } catch (error) {
+            this.state = JobState.FAILED;
+            this.error = error;
+            await this._checkpoint();
+            throw error;
+        }
+
+        await this.validator._finishSinks(this.validateOptions);
+
+        if (this.cursor < total) {
+            this.state = JobState.ABORTED;
+            await this._checkpoint();
+            this.validator.emit('batch_aborted', { jobId: this.jobId, completed: this.cursor, total, results: this.results });
+            await this._runCompleteHooks(true);
+            return this.results;
+        }
+
+        this.state = JobState.COMPLETED;
+        await this._checkpoint();
+        this.validator.emit('batch_complete', { jobId: this.jobId, results: this.results });
+        await this._runCompleteHooks(false);
+
+        return this.results;
+    }
+
+    /**
+     * Stop after the chunk in progress; its results are checkpointed first
+     */
+    pause() {
+        if (this.state !== JobState.RUNNING) return false;
+
+        this.pauseRequested = true;
+        return true;
+    }
+
+    resume() {
+        if (!this.pauseRequested) return false;
+
+        this.pauseRequested = false;
+        if (this.resumeWaiter) {
+            this.resumeWaiter();
+        }
+        return true;
+    }
+
+    status() {
+        const total = this.numbers ? this.numbers.length : null;
+
+        return {
+            jobId: this.jobId,
+            state: this.state,
+            completed: this.cursor,
+            total,
+            remaining: total !== null ? total - this.cursor : null,
+            pauseRequested: this.pauseRequested,
+            createdAt: this.createdAt,
+            startedAt: this.startedAt,
+            updatedAt: this.updatedAt,
+            checkpointPath: this.checkpointPath,
+            error: this.error ? this.error.message : null
+        };
+    }
+
+    /**
+     * Delete the checkpoint file
+     */
+    async discard() {
+        await fs.promises.rm(this.checkpointPath, { force: true });
+    }
+
+    _runCompleteHooks(aborted) {
+        return this.validator._runPluginHooks(PluginHook.BATCH_COMPLETE, {
+            jobId: this.jobId,
+            results: this.results,
+            aborted,
+            duration: Date.now() - this.startedAt
+        });
+    }
+
+    async _waitForResume(signal) {
+        this.state = JobState.PAUSED;
+        await this._checkpoint();
+        this.validator.emit('job_paused', this.status());
+
+        await new Promise(resolve => {
+            const done = () => {
+                this.resumeWaiter = null;
+                if (signal) signal.removeEventListener('abort', done);
+                resolve();
+            };
+
+            this.resumeWaiter = done;
+            if (signal && signal.aborted) done();
+            else if (signal) signal.addEventListener('abort', done, { once: true });
+        });
+
+        if (signal && signal.aborted) return;
+
+        this.state = JobState.RUNNING;
+        this.validator.emit('job_resumed', this.status());
+    }
+
+    async _restore() {
+        let checkpoint;
+        try {
+            checkpoint = JSON.parse(await fs.promises.readFile(this.checkpointPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        if (!checkpoint) {
+            if (!Array.isArray(this.numbers)) {
+                throw new Error(`No checkpoint for job ${this.jobId} and no numbers given`);
+            }
+            return;
+        }
+
+        if (checkpoint.version !== CHECKPOINT_VERSION) {
+            throw new Error(`Unsupported checkpoint version: ${checkpoint.version}`);
+        }
+
+        if (this.numbers && JSON.stringify(this.numbers) !== JSON.stringify(checkpoint.numbers)) {
+            throw new Error(`Checkpoint for job ${this.jobId} was created for a different number list`);
+        }
+
+        // A job that was running or paused when the process died can simply run again
+        const interrupted = checkpoint.state === JobState.RUNNING || checkpoint.state === JobState.PAUSED;
+        this.state = interrupted ? JobState.PENDING : checkpoint.state;
+        this.numbers = checkpoint.numbers;
+        this.results = checkpoint.results;
+        this.cursor = checkpoint.cursor;
+        this.createdAt = checkpoint.createdAt;
+        this.updatedAt = checkpoint.updatedAt;
+        this.batchSize = checkpoint.batchSize;
+        this.delayBetweenBatches = checkpoint.delayBetweenBatches;
+    }
+
+    async _checkpoint() {
+        this.updatedAt = Date.now();
+
+        const checkpoint = {
+            version: CHECKPOINT_VERSION,
+            jobId: this.jobId,
+            state: this.state,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            batchSize: this.batchSize,
+            delayBetweenBatches: this.delayBetweenBatches,
+            cursor: this.cursor,
+            numbers: this.numbers,
+            results: this.results
+        };
+        const tmpPath = `${this.checkpointPath}.tmp`;
+
+        await fs.promises.mkdir(this.checkpointDir, { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify(checkpoint));
+        await fs.promises.rename(tmpPath, this.checkpointPath);
+    }
+
+    /**
+     * Load a job from its checkpoint without knowing the number list
+     */
+    static async load(validator, jobId, options = {}) {
+        const job = new BatchJob(validator, null, { ...options, jobId });
+        await job._restore();
+        return job;
+    }
+}
+
+function delay(ms, signal) {
+    return new Promise(resolve => {
+        if (signal && signal.aborted) {
+            resolve();
+            return;
+        }
+
+        const done = () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+
+        if (signal) signal.addEventListener('abort', done, { once: true });
+    });
+}
+
+module.exports = {
+    BatchJob,
+    JobState
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WhatsAppValidator, MockConnection, BatchJob, JobState } = require('./index');
+
+const numbers = ['+201012345670', '+201012345671', '+201012345672', '+201012345673'];
+
+describe('BatchJob', () => {
+    let dir;
+    let conn;
+    let validator;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-jobs-'));
+        conn = new MockConnection();
+        validator = new WhatsAppValidator(conn, { enableRateLimiting: false, enableCircuitBreaker: false, enableCache: false });
+    });
+
+    afterEach(async () => {
+        await validator.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createJob(list = numbers) {
+        return validator.createBatchJob(list, { jobId: 'nightly', checkpointDir: dir, batchSize: 2, delayBetweenBatches: 0 });
+    }
+
+    test('resumes from its checkpoint without re-probing finished numbers', async () => {
+        const controller = new AbortController();
+        validator.once('batch_progress', () => controller.abort());
+
+        const partial = await createJob().run({ signal: controller.signal });
+        expect(partial).toHaveLength(2);
+        expect(conn.callCount('onWhatsApp')).toBe(2);
+
+        const job = await BatchJob.load(validator, 'nightly', { checkpointDir: dir });
+        expect(job.status()).toMatchObject({ state: JobState.ABORTED, completed: 2, total: 4 });
+
+        const results = await job.run();
+
+        expect(results.map(r => r.number)).toEqual(numbers);
+        expect(conn.callCount('onWhatsApp')).toBe(4);
+        expect(job.status().state).toBe(JobState.COMPLETED);
+    });
+
+    test('refuses a checkpoint made for another number list', async () => {
+        await createJob(numbers.slice(0, 2)).run();
+
+        await expect(createJob().run()).rejects.toThrow(/different number list/);
+    });
+
+    test('pause() stops after the current chunk until resume()', async () => {
+        const job = createJob();
+        const paused = new Promise(resolve => validator.once('job_paused', resolve));
+        validator.once('batch_progress', () => job.pause());
+
+        const running = job.run();
+        const status = await paused;
+
+        expect(status).toMatchObject({ state: JobState.PAUSED, completed: 2 });
+        expect(JSON.parse(fs.readFileSync(job.checkpointPath, 'utf8')).cursor).toBe(2);
+
+        job.resume();
+        expect(await running).toHaveLength(4);
+    });
+});
@@ -0,0 +1,80 @@
+const { WhatsAppValidator, MockConnection } = require('./index');
+
+const numbers = ['+201012345670', '+201012345671', '+201012345672', '+201012345673', '+201012345674'];
+
+describe('validateBatch / validateStream', () => {
+    let conn;
+    let validator;
+
+    beforeEach(() => {
+        conn = new MockConnection({ defaultScenario: { registered: true, latency: 5 } });
+        // The first number is the slowest, so it finishes last
+        conn.setScenario(numbers[0], { registered: true, latency: 40 });
+        validator = new WhatsAppValidator(conn, { enableRateLimiting: false, enableCircuitBreaker: false, enableCache: false });
+    });
+
+    afterEach(() => validator.close());
+
+    test('the pool never runs more than `concurrency` validations at once', async () => {
+        let active = 0;
+        let peak = 0;
+        validator.on('validation_start', () => { peak = Math.max(peak, ++active); });
+        validator.on('validation_complete', () => { active--; });
+
+        const results = await validator.validateBatch(numbers, { concurrency: 2 });
+
+        expect(peak).toBe(2);
+        expect(results.map(r => r.number)).toEqual(numbers);
+    });
+
+    test('a bad number gets a failed result instead of rejecting the batch', async () => {
+        const results = await validator.validateBatch(['+201012345670', '120363025246125888@g.us'], { concurrency: 2 });
+
+        expect(results).toHaveLength(2);
+        expect(results[1].diagnostics.errorDetails[0]).toMatchObject({ stage: 'validate' });
+    });
+
+    test('streams results as they finish, or in input order when asked', async () => {
+        const unordered = [];
+        for await (const result of validator.validateStream(numbers, { concurrency: 5 })) {
+            unordered.push(result.number);
+        }
+
+        const ordered = [];
+        for await (const result of validator.validateStream(numbers, { concurrency: 5, ordered: true })) {
+            ordered.push(result.number);
+        }
+
+        expect(unordered[unordered.length - 1]).toBe(numbers[0]);
+        expect(ordered).toEqual(numbers);
+    });
+
+    test('accepts async iterables and aborts what is running when the consumer stops', async () => {
+        async function* source() {
+            yield* numbers;
+        }
+
+        const aborted = [];
+        validator.on('validation_aborted', event => aborted.push(event.phoneNumber));
+
+        for await (const result of validator.validateStream(source(), { concurrency: 2 })) {
+            expect(result.number).toBe(numbers[1]);
+            break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 60));
+
+        // The pool had refilled to two before the first result was yielded
+        expect(aborted.sort()).toEqual([numbers[0], numbers[2]]);
+        expect(conn.callCount('onWhatsApp', numbers[3])).toBe(0);
+    });
+
+    test('an aborted batch still returns one result per number', async () => {
+        const controller = new AbortController();
+        validator.once('batch_progress', () => controller.abort());
+
+        const results = await validator.validateBatch(numbers, { batchSize: 2, delayBetweenBatches: 0, signal: controller.signal });
+
+        expect(results).toHaveLength(numbers.length);
+        expect(results.slice(2).every(r => r.aborted)).toBe(true);
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Storage backends for ValidationCache
+ *
+ * A cache store keeps cache entries (`{ data, timestamp, expiresAt,
+ * lastAccess, accessCount }`) by key and implements:
+ *
+ *   get(key)        -> entry | null
+ *   set(key, entry)
+ *   delete(key)     -> boolean
+ *   entries()       -> iterable of [key, entry], least recently used first
+ *   touch(key)      -> mark key as most recently used (optional)
+ *   expire(now)     -> number of entries removed
+ *   clear()
+ *   size()          -> number (synchronous)
+ *
+ * Any method except size() may return a promise. Stores without touch()
+ * evict in insertion order.
+ *
+ * @module @whatsapp-tools/account-validator/cache-stores
+ */
+
+const { AppendLog } = require('./append-log');
+
+// ============================================================================
+// MEMORY STORE
+// ============================================================================
+
+class MemoryCacheStore {
+    constructor() {
+        this.name = 'memory';
+        this.map = new Map();
+    }
+
+    get(key) {
+        return this.map.get(key) || null;
+    }
+
+    set(key, entry) {
+        this.map.delete(key);
+        this.map.set(key, entry);
+    }
+
+    delete(key) {
+        return this.map.delete(key);
+    }
+
+    touch(key) {
+        const entry = this.map.get(key);
+        if (!entry) return;
+
+        // Map iterates in insertion order, so re-inserting moves the key to the end
+        this.map.delete(key);
+        this.map.set(key, entry);
+    }
+
+    entries() {
+        return this.map.entries();
+    }
+
+    expire(now = Date.now()) {
+        let removed = 0;
+
+        for (const [key, entry] of this.map) {
+            if (entry.expiresAt <= now) {
+                this.map.delete(key);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    clear() {
+        this.map.clear();
+    }
+
+    size() {
+        return this.map.size;
+    }
+}
+
+// ============================================================================
+// FILE STORE
+// ============================================================================
+
+/**
+ * Cache that survives restarts, kept in an AppendLog.
+ *
+ * Every set/delete/clear is appended as one line and the log is replayed on
+ * construction. Once the log holds `compactionRatio` times more lines than
+ * live entries (and at least `compactionMinLines`), it is rewritten with only
+ * the live entries.
+ */
+class FileCacheStore extends MemoryCacheStore {
+    constructor(options = {}) {
+        super();
+
+        if (!options.filePath) {
+            throw new Error('FileCacheStore requires a filePath');
+        }
+
+        this.name = 'file';
+        this.filePath = options.filePath;
+        this.log = new AppendLog(options);
+        this._load();
+    }
+
+    set(key, entry) {
+        super.set(key, entry);
+        this._append({ op: 'set', key, entry });
+    }
+
+    delete(key) {
+        const existed = super.delete(key);
+        if (existed) this._append({ op: 'delete', key });
+        return existed;
+    }
+
+    expire(now = Date.now()) {
+        const removed = super.expire(now);
+        if (removed > 0) this.compact();
+        return removed;
+    }
+
+    clear() {
+        super.clear();
+        this.compact();
+    }
+
+    /**
+     * Rewrite the log with only live, unexpired entries
+     */
+    compact() {
+        const now = Date.now();
+        const records = [];
+
+        for (const [key, entry] of this.map) {
+            if (entry.expiresAt > now) {
+                records.push({ op: 'set', key, entry });
+            } else {
+                this.map.delete(key);
+            }
+        }
+
+        this.log.rewrite(records);
+    }
+
+    _append(record) {
+        if (this.log.append(record, this.map.size)) {
+            this.compact();
+        }
+    }
+
+    _load() {
+        this.log.replay(record => {
+            if (record.op === 'set') {
+                this.map.delete(record.key);
+                this.map.set(record.key, record.entry);
+            } else if (record.op === 'delete') {
+                this.map.delete(record.key);
+            }
+        });
+
+        super.expire();
+    }
+}
+
+module.exports = {
+    MemoryCacheStore,
+    FileCacheStore
+};
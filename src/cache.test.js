@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    WhatsAppValidator,
+    ValidationCache,
+    FileCacheStore,
+    MockConnection,
+    CacheOutcome,
+    BanType,
+    DEFAULT_CACHE_TTL_POLICY
+} = require('./index');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ValidationCache', () => {
+    test('entries expire after their TTL', async () => {
+        const cache = new ValidationCache({ ttl: 20 });
+        await cache.set('a', { n: 1 });
+        await cache.set('b', { n: 2 }, 1000);
+
+        expect(await cache.get('a')).toEqual({ n: 1 });
+        await sleep(30);
+
+        expect(await cache.get('a')).toBeNull();
+        expect(await cache.get('b')).toEqual({ n: 2 });
+        expect(cache.expirations).toBe(1);
+    });
+
+    test('evicts the least recently used entry when full', async () => {
+        const cache = new ValidationCache({ maxSize: 2 });
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        await cache.get('a');
+        await cache.set('c', 3);
+
+        expect(await cache.peek('a')).toBe(1);
+        expect(await cache.peek('b')).toBeNull();
+        expect(await cache.peek('c')).toBe(3);
+        expect(cache.evictions).toBe(1);
+    });
+
+    test('evicts to stay under maxMemory', async () => {
+        const cache = new ValidationCache({ maxMemory: 200 });
+        await cache.set('a', 'x'.repeat(60));
+        await cache.set('b', 'y'.repeat(60));
+
+        expect(await cache.peek('a')).toBeNull();
+        expect(cache.memoryUsage).toBeLessThanOrEqual(200);
+    });
+
+    test('peek leaves hit and miss counters alone', async () => {
+        const cache = new ValidationCache();
+        await cache.set('a', 1);
+        await cache.peek('a');
+        await cache.peek('b');
+
+        expect(cache.hits).toBe(0);
+        expect(cache.misses).toBe(0);
+    });
+});
+
+describe('ValidationCache background sweep', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('removes expired entries on each sweepInterval and counts them as expirations', async () => {
+        const cache = new ValidationCache({ ttl: 1000, sweepInterval: 500 });
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        await cache.set('c', 3, 5000);
+
+        await jest.advanceTimersByTimeAsync(500);
+        expect(cache.store.size()).toBe(3);
+        expect(cache.expirations).toBe(0);
+
+        await jest.advanceTimersByTimeAsync(500);
+        expect(cache.store.size()).toBe(1);
+        expect(cache.expirations).toBe(2);
+        expect(cache.stats()).toMatchObject({ size: 1, expirations: 2, misses: 0 });
+        expect(await cache.peek('c')).toBe(3);
+
+        cache.close();
+    });
+
+    test('close() clears the sweep timer', async () => {
+        const cache = new ValidationCache({ ttl: 1000, sweepInterval: 500 });
+        expect(jest.getTimerCount()).toBe(1);
+
+        cache.close();
+        await cache.set('a', 1);
+        await jest.advanceTimersByTimeAsync(5000);
+
+        expect(cache.sweepTimer).toBeNull();
+        expect(jest.getTimerCount()).toBe(0);
+        expect(cache.store.size()).toBe(1);
+        expect(cache.expirations).toBe(0);
+    });
+
+    test('a sweep over a FileCacheStore drops expired entries from the log', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-sweep-'));
+        const filePath = path.join(dir, 'cache.ndjson');
+
+        try {
+            const cache = new ValidationCache({ store: new FileCacheStore({ filePath }), ttl: 1000, sweepInterval: 1000 });
+            await cache.set('short', 1);
+            await cache.set('long', 2, 60000);
+
+            await jest.advanceTimersByTimeAsync(1000);
+            cache.close();
+
+            expect(cache.expirations).toBe(1);
+            expect(fs.readFileSync(filePath, 'utf8')).not.toContain('short');
+            expect([...new FileCacheStore({ filePath }).entries()].map(([key]) => key)).toEqual(['long']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('outcome-aware cache TTLs', () => {
+    let validator;
+
+    afterEach(() => validator.close());
+
+    test('a clean verdict is cached for its ban type TTL', async () => {
+        validator = new WhatsAppValidator(new MockConnection(), { enableRateLimiting: false });
+        const result = await validator.validate('+201012345678');
+
+        expect(result.cache.outcome).toBe(BanType.NONE);
+        expect(result.cache.expiresAt - result.cache.cachedAt).toBe(DEFAULT_CACHE_TTL_POLICY[BanType.NONE]);
+    });
+
+    test('every probe timing out is cached as a timeout, not a violation', async () => {
+        const conn = new MockConnection({
+            defaultScenario: {
+                registered: true,
+                fetchStatus: { hang: true },
+                profilePictureUrl: { hang: true },
+                getBusinessProfile: { hang: true }
+            }
+        });
+        validator = new WhatsAppValidator(conn, {
+            enableRateLimiting: false,
+            enableCircuitBreaker: false,
+            enablePresenceCheck: false,
+            retryOnFailure: false,
+            timeout: 20
+        });
+
+        const result = await validator.validate('+201012345678');
+
+        expect(result.diagnostics.probeResults.every(p => p.status === 'timeout')).toBe(true);
+        expect(result.cache.outcome).toBe(CacheOutcome.TIMEOUT);
+        expect(result.cache.expiresAt - result.cache.cachedAt).toBe(DEFAULT_CACHE_TTL_POLICY[CacheOutcome.TIMEOUT]);
+    });
+
+    test('a LID whose probes all time out is not cached as a violation', async () => {
+        const conn = new MockConnection({
+            defaultScenario: {
+                fetchStatus: { hang: true },
+                profilePictureUrl: { hang: true },
+                getBusinessProfile: { hang: true }
+            }
+        });
+        validator = new WhatsAppValidator(conn, {
+            enableRateLimiting: false,
+            enableCircuitBreaker: false,
+            enablePresenceCheck: false,
+            retryOnFailure: false,
+            timeout: 20
+        });
+
+        const result = await validator.validate('123456789012345@lid');
+
+        expect(result.cache.outcome).toBe(CacheOutcome.TIMEOUT);
+    });
+
+    test('a registration timeout is cached as a timeout', async () => {
+        const conn = new MockConnection({ defaultScenario: { onWhatsApp: { hang: true } } });
+        validator = new WhatsAppValidator(conn, {
+            enableRateLimiting: false,
+            enableCircuitBreaker: false,
+            retryOnFailure: false,
+            timeout: 20
+        });
+
+        const result = await validator.validate('+201012345678');
+
+        expect(result.cache.outcome).toBe(CacheOutcome.TIMEOUT);
+    });
+});
@@ -0,0 +1,137 @@
+const { WhatsAppValidator, CircuitBreaker, CircuitState, CancelledError, MockConnection } = require('./index');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('CircuitBreaker', () => {
+    test('opens after failureThreshold trip codes and holds callers', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+
+        breaker.record('429');
+        expect(breaker.state).toBe(CircuitState.CLOSED);
+        breaker.record('TIMEOUT');
+        expect(breaker.state).toBe(CircuitState.OPEN);
+
+        let entered = false;
+        const waiting = breaker.wait().then(() => { entered = true; });
+        await sleep(10);
+        expect(entered).toBe(false);
+        expect(breaker.getStatus().waiting).toBe(1);
+
+        breaker.reset();
+        await waiting;
+        expect(entered).toBe(true);
+    });
+
+    test('ignores codes that are not trip codes', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1 });
+        breaker.record('404');
+
+        expect(breaker.state).toBe(CircuitState.CLOSED);
+    });
+
+    test('half-opens after the cooldown and closes on a clean trial', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 20 });
+        breaker.record('429');
+
+        await breaker.wait();
+        expect(breaker.state).toBe(CircuitState.HALF_OPEN);
+
+        breaker.record(null);
+        expect(breaker.state).toBe(CircuitState.CLOSED);
+    });
+
+    test('a throttled trial opens it again', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 20 });
+        breaker.record('429');
+
+        await breaker.wait();
+        breaker.record('429');
+
+        expect(breaker.state).toBe(CircuitState.OPEN);
+        expect(breaker.opens).toBe(2);
+        breaker.destroy();
+    });
+
+    test('destroy() clears the cooldown timer and rejects waiters', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 60000 });
+        breaker.record('429');
+        const waiting = breaker.wait();
+
+        breaker.destroy();
+
+        expect(breaker.timer).toBeNull();
+        await expect(waiting).rejects.toBeInstanceOf(CancelledError);
+        await expect(breaker.wait()).rejects.toBeInstanceOf(CancelledError);
+
+        breaker.record('429');
+        expect(breaker.timer).toBeNull();
+    });
+
+    test('the validator destroys its breaker on close()', async () => {
+        const validator = new WhatsAppValidator(new MockConnection(), {
+            enableRateLimiting: false,
+            circuitBreaker: { failureThreshold: 1, cooldownMs: 60000 }
+        });
+        validator.circuitBreaker.record('429');
+
+        await validator.close();
+
+        expect(validator.circuitBreaker.timer).toBeNull();
+    });
+});
+
+describe('circuit breaker through the validator', () => {
+    const throttled = { onWhatsApp: { error: { statusCode: 429 } } };
+    let conn;
+    let validator;
+    let events;
+
+    beforeEach(() => {
+        conn = new MockConnection({ scenarios: { '+201012345678': throttled, '+201012345679': throttled } });
+        validator = new WhatsAppValidator(conn, {
+            enableRateLimiting: false,
+            enableCache: false,
+            retryOnFailure: false,
+            circuitBreaker: { failureThreshold: 2, cooldownMs: 50 }
+        });
+
+        events = [];
+        for (const name of ['circuit_open', 'circuit_half_open', 'circuit_closed']) {
+            validator.on(name, details => events.push({ name, details }));
+        }
+    });
+
+    afterEach(() => validator.close());
+
+    test('throttled calls open it, and a clean trial after the cooldown closes it', async () => {
+        await validator.validate('+201012345678');
+        expect(events).toEqual([]);
+
+        await validator.validate('+201012345679');
+        expect(events.map(e => e.name)).toEqual(['circuit_open']);
+        expect(events[0].details).toMatchObject({ code: '429', state: CircuitState.OPEN, opens: 1 });
+        expect(validator.getCircuitStatus().state).toBe(CircuitState.OPEN);
+
+        // Held until the cooldown ends, then let through as the trial
+        const trial = validator.validate('+201012345680');
+        await sleep(10);
+        expect(conn.callCount('onWhatsApp', '+201012345680')).toBe(0);
+
+        const result = await trial;
+
+        expect(result.isActive).toBe(true);
+        expect(events.map(e => e.name)).toEqual(['circuit_open', 'circuit_half_open', 'circuit_closed']);
+        expect(events[2].details).toMatchObject({ state: CircuitState.CLOSED });
+        expect(validator.getCircuitStatus().state).toBe(CircuitState.CLOSED);
+    });
+
+    test('a throttled trial opens it again instead of closing it', async () => {
+        await validator.validate('+201012345678');
+        await validator.validate('+201012345679');
+
+        await validator.validate('+201012345678');
+
+        expect(events.map(e => e.name)).toEqual(['circuit_open', 'circuit_half_open', 'circuit_open']);
+        expect(validator.getCircuitStatus().opens).toBe(2);
+    });
+});
@@ -0,0 +1,462 @@
+/**
+ * wa-validator command-line interface
+ *
+ * @module @whatsapp-tools/account-validator/cli
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    WhatsAppValidator,
+    BanType,
+    NDJSONFileSink,
+    UnsupportedJIDError,
+    importNumbers,
+    isFailedResult,
+    renderHTMLReport
+} = require('./index');
+const { REGIONS } = require('./phone-number');
+
+const ExitCode = {
+    OK: 0,
+    BANNED: 1,          // At least one account is banned or not registered
+    USAGE: 2,
+    CONNECTION: 3,      // Auth state missing or the connection failed
+    INCOMPLETE: 4,      // No bans, but some numbers were invalid or failed to validate
+    INTERRUPTED: 130
+};
+
+const USAGE = `Usage: wa-validator <command> [options]
+
+Commands:
+  check <number>     Validate one number
+  batch <file>       Validate every number in a .csv, .tsv, .ndjson, .jsonl, .vcf or .txt file
+  report <file>      Render results saved by "batch --out" (.json or .ndjson)
+
+Connection options (check, batch):
+  --auth <dir>           Baileys multi-file auth state (default: $WA_AUTH_DIR or ./auth)
+  --connect-timeout <ms> Time allowed to open the connection (default: 30000)
+  --timeout <ms>         Per-probe timeout (default: 8000)
+  --rate-limit <n>       Validations per minute (default: 10)
+  --region <code>        Region for national numbers, e.g. EG
+  --skip-cache           Ignore cached results
+
+check options:
+  --format <f>           simple | detailed | json (default: simple)
+
+batch options:
+  --column <name|index>  CSV column holding the number
+  --concurrency <n>      Validations in flight (default: 5)
+  --out <file>           Write results to .csv, .json or .ndjson (streamed)
+  --html <file>          Also write an HTML report
+  --quiet                No progress output
+
+report options:
+  --format <f>           html | csv | json | text (default: html)
+  --out <file>           Write to a file instead of stdout
+  --title <text>         HTML report title
+
+Exit codes:
+  0  all accounts active        3  connection or auth failure
+  1  an account is banned       4  some numbers invalid or failed
+  2  usage error              130  interrupted
+`;
+
+class CliError extends Error {
+    constructor(message, exitCode = ExitCode.USAGE) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+/**
+ * Run the CLI and resolve with the exit code.
+ *
+ * `io` lets callers swap the streams and how the connection is made:
+ * `{ stdout, stderr, env, connect(authDir, options) -> conn, signal }`.
+ */
+async function main(argv, io = {}) {
+    const ctx = {
+        stdout: io.stdout || process.stdout,
+        stderr: io.stderr || process.stderr,
+        env: io.env || process.env,
+        connect: io.connect || connectBaileys,
+        signal: io.signal || null
+    };
+
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        ctx.stderr.write(`${error.message}\n\n${USAGE}`);
+        return ExitCode.USAGE;
+    }
+
+    const [command, ...positional] = args.positional;
+
+    if (args.options.help || !command) {
+        (command ? ctx.stdout : ctx.stderr).write(USAGE);
+        return args.options.help ? ExitCode.OK : ExitCode.USAGE;
+    }
+
+    const commands = { check: runCheck, batch: runBatch, report: runReport };
+
+    if (!commands[command]) {
+        ctx.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+        return ExitCode.USAGE;
+    }
+
+    try {
+        return await commands[command](positional, args.options, ctx);
+    } catch (error) {
+        ctx.stderr.write(`wa-validator: ${error.message}\n`);
+
+        // A group or broadcast JID is bad input, not a connection problem
+        if (error instanceof UnsupportedJIDError) return ExitCode.USAGE;
+        return error.exitCode !== undefined ? error.exitCode : ExitCode.CONNECTION;
+    }
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+async function runCheck(positional, options, ctx) {
+    const [number] = positional;
+    if (!number) throw new CliError('check needs a phone number');
+
+    const format = options.format || 'simple';
+    if (!['simple', 'detailed', 'json'].includes(format)) {
+        throw new CliError(`Unknown check format: ${format}`);
+    }
+    checkRegion(options.region);
+
+    return withValidator(options, ctx, async validator => {
+        const result = await validator.validate(number, {
+            skipCache: options['skip-cache'],
+            signal: ctx.signal
+        });
+
+        const output = {
+            simple: () => validator.formatSimple(result),
+            detailed: () => validator.formatDetailed(result),
+            json: () => validator.exportJSON(result)
+        }[format]();
+
+        ctx.stdout.write(output + '\n');
+        return exitCodeFor([result], ctx.signal);
+    });
+}
+
+async function runBatch(positional, options, ctx) {
+    const [file] = positional;
+    if (!file) throw new CliError('batch needs an input file');
+
+    checkRegion(options.region);
+
+    const outFormat = options.out ? outputFormat(options.out) : null;
+    const imported = await readNumberFile(file, options);
+
+    for (const error of imported.errors) {
+        ctx.stderr.write(`${file}:${error.line}: skipped ${JSON.stringify(error.input)} (${error.reason})\n`);
+    }
+    if (imported.duplicates.length > 0) {
+        ctx.stderr.write(`${imported.duplicates.length} duplicate numbers skipped\n`);
+    }
+    if (imported.numbers.length === 0) {
+        throw new CliError(`No valid numbers in ${file}`, ExitCode.INCOMPLETE);
+    }
+
+    return withValidator(options, ctx, async validator => {
+        const total = imported.numbers.length;
+        const sinks = outFormat === 'ndjson' ?
+            [new NDJSONFileSink({ filePath: options.out, append: false })] :
+            [];
+
+        if (!options.quiet) {
+            validator.on('batch_progress', ({ completed }) => {
+                const line = `Validated ${completed}/${total}`;
+                if (ctx.stderr.isTTY) ctx.stderr.write(`\r${line}`);
+                else if (completed === total || completed % 10 === 0) ctx.stderr.write(`${line}\n`);
+            });
+        }
+
+        const results = await validator.validateBatch(imported.numbers, {
+            concurrency: toInteger(options.concurrency, 'concurrency') || 5,
+            skipCache: options['skip-cache'],
+            sinks,
+            signal: ctx.signal
+        });
+
+        if (!options.quiet && ctx.stderr.isTTY) ctx.stderr.write('\n');
+
+        if (outFormat === 'csv') {
+            await writeFile(options.out, validator.exportCSV(results));
+        } else if (outFormat === 'json') {
+            await writeFile(options.out, JSON.stringify(results, null, 2));
+        } else if (!outFormat) {
+            for (const result of results) {
+                ctx.stdout.write(`${result.number}\t${result.ban.type}\t${result.summary}\n`);
+            }
+        }
+
+        if (options.html) {
+            await writeFile(options.html, validator.exportHTML(results));
+        }
+
+        const banned = results.filter(r => !isFailedResult(r) && r.ban.isBanned).length;
+        ctx.stderr.write(`${results.length} validated, ${banned} banned, ${imported.errors.length} skipped\n`);
+
+        // Numbers skipped at import count as invalid too
+        const code = exitCodeFor(results, ctx.signal);
+        return code === ExitCode.OK && imported.errors.length > 0 ? ExitCode.INCOMPLETE : code;
+    });
+}
+
+async function runReport(positional, options, ctx) {
+    const [file] = positional;
+    if (!file) throw new CliError('report needs a results file');
+
+    const format = options.format || 'html';
+    const results = await loadResults(file);
+
+    // Formatting only - the validator never touches the connection
+    const formatter = new WhatsAppValidator(null, {
+        enableCache: false,
+        enableRateLimiting: false,
+        enableCircuitBreaker: false,
+        enableAnalytics: false
+    });
+
+    const render = {
+        html: () => renderHTMLReport(results, {
+            title: options.title,
+            banTypes: Object.values(BanType)
+        }),
+        csv: () => formatter.exportCSV(results),
+        json: () => JSON.stringify(results, null, 2),
+        text: () => results.map(r => formatter.formatDetailed(r)).join('\n\n')
+    }[format];
+
+    if (!render) throw new CliError(`Unknown report format: ${format}`);
+
+    if (options.out) {
+        await writeFile(options.out, render());
+    } else {
+        ctx.stdout.write(render() + '\n');
+    }
+
+    return ExitCode.OK;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+async function withValidator(options, ctx, fn) {
+    const authDir = options.auth || ctx.env.WA_AUTH_DIR || './auth';
+    let conn;
+
+    try {
+        conn = await ctx.connect(authDir, {
+            timeout: toInteger(options['connect-timeout'], 'connect-timeout') || 30000
+        });
+    } catch (error) {
+        throw new CliError(`Cannot connect with auth state in ${authDir}: ${error.message}`, ExitCode.CONNECTION);
+    }
+
+    // Only flags that were given - an undefined key would override the validator's default
+    const validatorOptions = { defaultRegion: options.region || null };
+    const timeout = toInteger(options.timeout, 'timeout');
+    const rateLimit = toInteger(options['rate-limit'], 'rate-limit');
+
+    if (timeout) validatorOptions.timeout = timeout;
+    if (rateLimit) validatorOptions.rateLimit = { maxRequests: rateLimit, windowMs: 60000 };
+
+    const validator = new WhatsAppValidator(conn, validatorOptions);
+
+    try {
+        return await fn(validator);
+    } finally {
+        await validator.close();
+        if (conn && typeof conn.end === 'function') conn.end(undefined);
+    }
+}
+
+/**
+ * Open a Baileys socket from a multi-file auth state that is already paired
+ */
+async function connectBaileys(authDir, options = {}) {
+    let baileys;
+    try {
+        baileys = require('@whiskeysockets/baileys');
+    } catch (error) {
+        throw new Error('@whiskeysockets/baileys is not installed');
+    }
+
+    if (!fs.existsSync(authDir)) {
+        throw new Error('directory does not exist');
+    }
+
+    const makeWASocket = baileys.default || baileys.makeWASocket;
+    const { state, saveCreds } = await baileys.useMultiFileAuthState(authDir);
+
+    if (!state.creds.registered) {
+        throw new Error('session is not paired - pair it with Baileys first');
+    }
+
+    let logger;
+    try {
+        logger = require('pino')({ level: 'silent' });
+    } catch (error) {
+        logger = undefined;
+    }
+
+    const sock = makeWASocket({ auth: state, printQRInTerminal: false, logger });
+    sock.ev.on('creds.update', saveCreds);
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            sock.end(undefined);
+            reject(new Error(`connection not open after ${options.timeout}ms`));
+        }, options.timeout || 30000);
+
+        sock.ev.on('connection.update', update => {
+            if (update.connection === 'open') {
+                clearTimeout(timer);
+                resolve();
+            } else if (update.connection === 'close') {
+                clearTimeout(timer);
+                const error = update.lastDisconnect && update.lastDisconnect.error;
+                reject(new Error(error ? error.message : 'connection closed'));
+            } else if (update.qr) {
+                clearTimeout(timer);
+                sock.end(undefined);
+                reject(new Error('session was logged out - pair it again'));
+            }
+        });
+    });
+
+    return sock;
+}
+
+async function readNumberFile(file, options) {
+    const importOptions = {
+        column: options.column !== undefined && /^\d+$/.test(options.column) ? Number(options.column) : options.column,
+        defaultRegion: options.region
+    };
+
+    try {
+        // Plain text lists are one number per line - a headerless single-column CSV
+        if (path.extname(file).toLowerCase() === '.txt') {
+            return await importNumbers(file, { ...importOptions, format: 'csv', header: false });
+        }
+        return await importNumbers(file, importOptions);
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+}
+
+async function loadResults(file) {
+    let text;
+    try {
+        text = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+
+    try {
+        if (/\.(ndjson|jsonl)$/i.test(file)) {
+            return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        }
+
+        const parsed = JSON.parse(text);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (error) {
+        throw new CliError(`${file} is not a results file: ${error.message}`);
+    }
+}
+
+function outputFormat(file) {
+    const format = { '.csv': 'csv', '.json': 'json', '.ndjson': 'ndjson', '.jsonl': 'ndjson' }[path.extname(file).toLowerCase()];
+    if (!format) throw new CliError(`Cannot tell the output format of ${file}; use .csv, .json or .ndjson`);
+    return format;
+}
+
+async function writeFile(file, content) {
+    await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await fs.promises.writeFile(file, content);
+}
+
+function exitCodeFor(results, signal) {
+    if (signal && signal.aborted) return ExitCode.INTERRUPTED;
+    // A failed check's ban type is not a verdict
+    if (results.some(r => !isFailedResult(r) && r.ban.isBanned)) return ExitCode.BANNED;
+
+    const incomplete = results.some(r => r.aborted || r.phone.isValid === false || isFailedResult(r));
+
+    return incomplete ? ExitCode.INCOMPLETE : ExitCode.OK;
+}
+
+// Every number would come back INVALID_REGION - a usage error, not a result
+function checkRegion(region) {
+    if (region !== undefined && !REGIONS[region.toUpperCase()]) {
+        throw new CliError(`Unknown region: ${region}`);
+    }
+}
+
+function toInteger(value, name) {
+    if (value === undefined) return null;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new CliError(`--${name} must be a positive integer`);
+    }
+    return number;
+}
+
+const BOOLEAN_FLAGS = ['help', 'quiet', 'skip-cache'];
+
+/**
+ * `--key value`, `--key=value`, boolean flags and positionals
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            const [key, inline] = arg.slice(2).split(/=(.*)/s);
+
+            if (BOOLEAN_FLAGS.includes(key)) {
+                options[key] = true;
+            } else if (inline !== undefined) {
+                options[key] = inline;
+            } else if (i + 1 < argv.length) {
+                options[key] = argv[++i];
+            } else {
+                throw new CliError(`--${key} needs a value`);
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { positional, options };
+}
+
+module.exports = {
+    main,
+    parseArgs,
+    ExitCode,
+    CliError
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, parseArgs, ExitCode } = require('./cli');
+const { MockConnection } = require('./index');
+
+function run(argv, conn = new MockConnection()) {
+    const stdout = [];
+    const stderr = [];
+    const io = {
+        stdout: { write: chunk => stdout.push(chunk) },
+        stderr: { write: chunk => stderr.push(chunk) },
+        env: {},
+        connect: async () => conn
+    };
+
+    return main(argv, io).then(code => ({ code, stdout: stdout.join(''), stderr: stderr.join('') }));
+}
+
+describe('parseArgs', () => {
+    test('reads positionals, --key value, --key=value and boolean flags', () => {
+        expect(parseArgs(['check', '+201012345678', '--format', 'json', '--region=EG', '--skip-cache'])).toEqual({
+            positional: ['check', '+201012345678'],
+            options: { format: 'json', region: 'EG', 'skip-cache': true }
+        });
+    });
+});
+
+describe('exit codes', () => {
+    test('0 for an active account', async () => {
+        const { code, stdout } = await run(['check', '+201012345678']);
+
+        expect(code).toBe(ExitCode.OK);
+        expect(stdout).toContain('Active');
+    });
+
+    test('1 for an unregistered number', async () => {
+        const conn = new MockConnection({ defaultScenario: { registered: false } });
+        const { code } = await run(['check', '+201012345678'], conn);
+
+        expect(code).toBe(ExitCode.BANNED);
+    });
+
+    test('4, not 1, when the registration check fails', async () => {
+        const conn = new MockConnection({ defaultScenario: { onWhatsApp: { error: { statusCode: 500 } } } });
+        const { code } = await run(['check', '+201012345678'], conn);
+
+        expect(code).toBe(ExitCode.INCOMPLETE);
+    });
+
+    test('2 for usage errors', async () => {
+        expect((await run([])).code).toBe(ExitCode.USAGE);
+        expect((await run(['frobnicate'])).code).toBe(ExitCode.USAGE);
+        expect((await run(['check', '+201012345678', '--timeout', 'soon'])).code).toBe(ExitCode.USAGE);
+    });
+
+    test('2 for an unknown --region, before connecting', async () => {
+        const connect = jest.fn(async () => new MockConnection());
+        const stderr = [];
+        const io = { stdout: { write: () => { } }, stderr: { write: chunk => stderr.push(chunk) }, env: {}, connect };
+
+        expect(await main(['check', '01012345678', '--region', 'XX'], io)).toBe(ExitCode.USAGE);
+        expect(await main(['batch', 'numbers.txt', '--region=XX'], io)).toBe(ExitCode.USAGE);
+        expect(stderr.join('')).toContain('Unknown region: XX');
+        expect(connect).not.toHaveBeenCalled();
+    });
+
+    test('a known --region is accepted in any case', async () => {
+        const { code, stdout } = await run(['check', '01012345678', '--region', 'eg']);
+
+        expect(code).toBe(ExitCode.OK);
+        expect(stdout).toContain('Number: +201012345678');
+    });
+
+    test('4 for an invalid number, shown as an error rather than a clean result', async () => {
+        const { code, stdout } = await run(['check', '12']);
+
+        expect(code).toBe(ExitCode.INCOMPLETE);
+        expect(stdout).toContain('Error: ');
+        expect(stdout).not.toContain('No restrictions detected');
+        expect(stdout).not.toContain('Status:');
+    });
+
+    test('2 for a group JID', async () => {
+        const { code, stderr } = await run(['check', '120363@g.us']);
+
+        expect(code).toBe(ExitCode.USAGE);
+        expect(stderr).toContain('group JID');
+    });
+
+    test('3 when the connection cannot be opened', async () => {
+        const io = {
+            stdout: { write: () => { } },
+            stderr: { write: () => { } },
+            env: {},
+            connect: async () => { throw new Error('no auth'); }
+        };
+
+        expect(await main(['check', '+201012345678'], io)).toBe(ExitCode.CONNECTION);
+    });
+
+    test('4 when a batch holds invalid numbers', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-cli-'));
+        const file = path.join(dir, 'numbers.txt');
+        fs.writeFileSync(file, '+201012345678\n12\n');
+
+        try {
+            const { code } = await run(['batch', file, '--quiet']);
+            expect(code).toBe(ExitCode.INCOMPLETE);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('report', () => {
+    let dir;
+
+    beforeAll(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-cli-report-'));
+        fs.writeFileSync(path.join(dir, 'numbers.txt'), '+201012345678\n+201012345679\n');
+
+        const conn = new MockConnection();
+        conn.setScenario('+201012345679', { registered: false });
+
+        for (const out of ['results.json', 'results.ndjson']) {
+            const { code } = await run(['batch', path.join(dir, 'numbers.txt'), '--quiet', '--out', path.join(dir, out)], conn);
+            expect(code).toBe(ExitCode.BANNED);
+        }
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('renders an HTML report on stdout by default, exiting 0 even when accounts are banned', async () => {
+        const { code, stdout } = await run(['report', path.join(dir, 'results.json'), '--title', 'Fleet <nightly>']);
+
+        expect(code).toBe(ExitCode.OK);
+        expect(stdout).toMatch(/^<!DOCTYPE html>/);
+        expect(stdout).toContain('<title>Fleet &lt;nightly&gt;</title>');
+        expect(stdout).toContain('+201012345679');
+    });
+
+    test('reads .ndjson results written by batch --out', async () => {
+        const { code, stdout } = await run(['report', path.join(dir, 'results.ndjson'), '--format', 'json']);
+
+        expect(code).toBe(ExitCode.OK);
+        expect(JSON.parse(stdout).map(r => r.number).sort()).toEqual(['+201012345678', '+201012345679']);
+    });
+
+    test('renders csv and text formats', async () => {
+        const csv = await run(['report', path.join(dir, 'results.json'), '--format', 'csv']);
+        const text = await run(['report', path.join(dir, 'results.json'), '--format', 'text']);
+
+        expect(csv.code).toBe(ExitCode.OK);
+        expect(csv.stdout.trim().split('\n')).toHaveLength(3);
+        expect(text.code).toBe(ExitCode.OK);
+        expect(text.stdout).toContain('WhatsApp Account Validation Report');
+    });
+
+    test('writes to --out instead of stdout', async () => {
+        const out = path.join(dir, 'nested', 'report.html');
+        const { code, stdout } = await run(['report', path.join(dir, 'results.json'), '--out', out]);
+
+        expect(code).toBe(ExitCode.OK);
+        expect(stdout).toBe('');
+        expect(fs.readFileSync(out, 'utf8')).toMatch(/^<!DOCTYPE html>/);
+    });
+
+    test('never opens a connection', async () => {
+        const connect = jest.fn();
+        const io = { stdout: { write: () => { } }, stderr: { write: () => { } }, env: {}, connect };
+
+        expect(await main(['report', path.join(dir, 'results.json')], io)).toBe(ExitCode.OK);
+        expect(connect).not.toHaveBeenCalled();
+    });
+
+    test('2 for a missing file argument, an unknown format, or an unreadable results file', async () => {
+        const garbage = path.join(dir, 'garbage.json');
+        fs.writeFileSync(garbage, 'not json');
+
+        expect((await run(['report'])).code).toBe(ExitCode.USAGE);
+        expect((await run(['report', path.join(dir, 'results.json'), '--format', 'pdf'])).code).toBe(ExitCode.USAGE);
+        expect((await run(['report', path.join(dir, 'missing.json')])).code).toBe(ExitCode.USAGE);
+
+        const { code, stderr } = await run(['report', garbage]);
+        expect(code).toBe(ExitCode.USAGE);
+        expect(stderr).toContain('is not a results file');
+    });
+});
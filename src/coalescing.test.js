@@ -0,0 +1,61 @@
+const { WhatsAppValidator, MockConnection } = require('./index');
+
+describe('in-flight deduplication', () => {
+    let conn;
+    let validator;
+
+    beforeEach(() => {
+        conn = new MockConnection({ defaultScenario: { registered: true, latency: 20 } });
+        validator = new WhatsAppValidator(conn, { enableRateLimiting: false, enableCircuitBreaker: false, enableCache: false });
+    });
+
+    afterEach(() => validator.close());
+
+    test('concurrent calls for one account share one pipeline run', async () => {
+        const coalesced = [];
+        validator.on('validation_coalesced', event => coalesced.push(event));
+
+        const results = await Promise.all([
+            validator.validate('201012345678'),
+            validator.validate('+20 101 234 5678'),
+            validator.validate('201012345678@c.us')
+        ]);
+
+        expect(conn.callCount('onWhatsApp')).toBe(1);
+        expect(results[1]).toBe(results[0]);
+        expect(results[2]).toBe(results[0]);
+        expect(coalesced).toHaveLength(2);
+    });
+
+    test('sequential calls run the pipeline again', async () => {
+        await validator.validate('+201012345678');
+        await validator.validate('+201012345678');
+
+        expect(conn.callCount('onWhatsApp')).toBe(2);
+    });
+
+    test('the run continues while any caller is still waiting', async () => {
+        const controller = new AbortController();
+        const leaving = validator.validate('+201012345678', { signal: controller.signal });
+        const staying = validator.validate('+201012345678');
+        controller.abort();
+
+        expect((await leaving).aborted).toBe(true);
+        expect((await staying).aborted).toBeFalsy();
+        expect((await staying).isRegistered).toBe(true);
+    });
+
+    test('the run stops once every caller has aborted', async () => {
+        const first = new AbortController();
+        const second = new AbortController();
+        const results = Promise.all([
+            validator.validate('+201012345678', { signal: first.signal }),
+            validator.validate('+201012345678', { signal: second.signal })
+        ]);
+
+        first.abort();
+        second.abort();
+
+        expect((await results).map(r => r.aborted)).toEqual([true, true]);
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * RFC 4180 CSV parsing and formatting
+ *
+ * @module @whatsapp-tools/account-validator/csv
+ */
+
+/**
+ * Parse CSV text into records. Handles quoted fields, doubled quotes,
+ * delimiters and line breaks inside quotes, CRLF/LF endings and a leading
+ * BOM. Each record is `{ line, fields }`, where `line` is the 1-based line
+ * the record starts on. Blank lines are skipped.
+ */
+function parseCSV(text, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const records = [];
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    let fields = [];
+    let field = '';
+    let quoted = false;       // inside a quoted field
+    let fieldQuoted = false;  // current field started with a quote
+    let recordQuoted = false; // current record has a quoted field, so it is never blank
+    let line = 1;
+    let recordLine = 1;
+    let i = 0;
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+        fieldQuoted = false;
+    };
+
+    const endRecord = () => {
+        endField();
+        if (fields.length > 1 || fields[0] !== '' || recordQuoted) {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+        recordQuoted = false;
+    };
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                quoted = false;
+                i++;
+                continue;
+            }
+
+            if (char === '\n') line++;
+            field += char;
+            i++;
+            continue;
+        }
+
+        if (char === '"' && field === '' && !fieldQuoted) {
+            quoted = true;
+            fieldQuoted = true;
+            recordQuoted = true;
+            i++;
+            continue;
+        }
+
+        if (input.startsWith(delimiter, i)) {
+            endField();
+            i += delimiter.length;
+            continue;
+        }
+
+        if (char === '\r' || char === '\n') {
+            endRecord();
+            i += char === '\r' && input[i + 1] === '\n' ? 2 : 1;
+            line++;
+            recordLine = line;
+            continue;
+        }
+
+        field += char;
+        i++;
+    }
+
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+    }
+
+    if (field !== '' || fields.length > 0 || fieldQuoted) {
+        endRecord();
+    }
+
+    return records;
+}
+
+/**
+ * Quote a field when it contains the delimiter, a quote or a line break
+ */
+function escapeCSVField(value, delimiter = ',') {
+    const text = value === null || value === undefined ? '' : String(value);
+
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+}
+
+/**
+ * Format rows (arrays of values) as CSV. Records are separated by `\n`;
+ * pass `newline: '\r\n'` for the CRLF endings RFC 4180 specifies.
+ */
+function formatCSV(rows, options = {}) {
+    const delimiter = options.delimiter || ',';
+    const newline = options.newline || '\n';
+
+    return rows
+        .map(row => row.map(value => escapeCSVField(value, delimiter)).join(delimiter))
+        .join(newline);
+}
+
+// ============================================================================
+// DOTTED PATHS
+// ============================================================================
+
+/**
+ * Read `a.b.0.c` style paths; missing segments give undefined
+ */
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (
+        value === null || value === undefined ? undefined : value[key]
+    ), object);
+}
+
+/**
+ * Write `a.b.0.c` style paths, creating objects (or arrays for numeric
+ * segments) along the way
+ */
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    let target = object;
+
+    keys.slice(0, -1).forEach((key, i) => {
+        if (target[key] === null || typeof target[key] !== 'object') {
+            target[key] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+        }
+        target = target[key];
+    });
+
+    target[keys[keys.length - 1]] = value;
+    return object;
+}
+
+module.exports = {
+    parseCSV,
+    formatCSV,
+    escapeCSVField,
+    getPath,
+    setPath
+};
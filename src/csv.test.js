@@ -0,0 +1,83 @@
+const { parseCSV, formatCSV, getPath, setPath } = require('./csv');
+const { WhatsAppValidator, MockConnection } = require('./index');
+
+describe('parseCSV', () => {
+    test('handles quotes, doubled quotes, embedded line breaks and CRLF', () => {
+        const records = parseCSV('\uFEFFa,b\r\n"x, y","say ""hi"""\r\n\r\n"multi\nline",z\n');
+
+        expect(records).toEqual([
+            { line: 1, fields: ['a', 'b'] },
+            { line: 2, fields: ['x, y', 'say "hi"'] },
+            { line: 4, fields: ['multi\nline', 'z'] }
+        ]);
+    });
+
+    test('rejects an unterminated quoted field', () => {
+        expect(() => parseCSV('a\n"open')).toThrow('line 2');
+    });
+});
+
+describe('formatCSV', () => {
+    test('uses \\n between records unless told otherwise', () => {
+        const rows = [['a', 'b'], ['1', 'x;y']];
+
+        expect(formatCSV(rows)).toBe('a,b\n1,x;y');
+        expect(formatCSV(rows, { delimiter: ';', newline: '\r\n' })).toBe('a;b\r\n1;"x;y"');
+    });
+});
+
+describe('dotted paths', () => {
+    test('setPath creates arrays for numeric segments', () => {
+        const object = setPath({}, 'a.0.b', 1);
+
+        expect(object).toEqual({ a: [{ b: 1 }] });
+        expect(getPath(object, 'a.0.b')).toBe(1);
+        expect(getPath(object, 'a.1.b')).toBeUndefined();
+    });
+});
+
+describe('exportCSV / importCSV', () => {
+    let validator;
+    let results;
+
+    beforeAll(async () => {
+        validator = new WhatsAppValidator(new MockConnection({
+            scenarios: { '+201012345679': { registered: false } }
+        }), { enableRateLimiting: false });
+        results = await validator.validateBatch(['+201012345678', '+201012345679'], { delayBetweenBatches: 0 });
+    });
+
+    afterAll(() => validator.close());
+
+    const columns = ['number', 'isRegistered', 'ban.type', 'account.age', 'ban.detectionMethods', 'summary'];
+
+    test('round-trips exported fields with their types', () => {
+        for (const options of [{ columns }, { columns, delimiter: ';', newline: '\r\n' }]) {
+            const rows = validator.importCSV(validator.exportCSV(results, options), options);
+
+            rows.forEach((row, i) => {
+                expect(row.number).toBe(results[i].number);
+                expect(row.isRegistered).toBe(results[i].isRegistered);
+                expect(row.ban).toEqual({ type: results[i].ban.type, detectionMethods: results[i].ban.detectionMethods });
+                expect(row.account.age).toBe(results[i].account.age);
+                expect(row.summary).toBe(results[i].summary);
+            });
+        }
+    });
+
+    test('round-trips flattened arrays', () => {
+        const options = { columns: ['number', { path: 'recommendations', header: 'Advice' }], flatten: true };
+        const csv = validator.exportCSV(results, options);
+
+        expect(csv.split('\n')[0]).toMatch(/^number,Advice\.0,Advice\.1/);
+        expect(validator.importCSV(csv, options).map(r => r.recommendations))
+            .toEqual(results.map(r => r.recommendations));
+    });
+
+    test('reports the line of a malformed JSON cell', () => {
+        const csv = 'number,ban.detectionMethods\n201012345678,"[""ok""]"\n201012345679,[broken\n';
+
+        expect(() => validator.importCSV(csv, { columns: ['number', 'ban.detectionMethods'] }))
+            .toThrow(/column "ban\.detectionMethods" on line 3/);
+    });
+});
@@ -0,0 +1,204 @@
+/**
+ * Record-and-replay fixtures for connection traffic
+ *
+ * @module @whatsapp-tools/account-validator/fixtures
+ */
+
+const fs = require('fs');
+const { MockConnection, CONNECTION_METHODS } = require('./mock-connection');
+
+const FIXTURE_VERSION = 1;
+
+// ============================================================================
+// RECORDING CONNECTION
+// ============================================================================
+
+/**
+ * Wraps a live connection and records every probe call, its arguments,
+ * its result or error and its timing, so it can be saved as a fixture.
+ */
+class RecordingConnection {
+    constructor(connection) {
+        this.conn = connection;
+        this.entries = [];
+        this.startedAt = Date.now();
+
+        for (const method of CONNECTION_METHODS) {
+            this[method] = (...args) => this._record(method, args);
+        }
+    }
+
+    async _record(method, args) {
+        const entry = {
+            method,
+            args: serialize(args),
+            offset: Date.now() - this.startedAt,
+            duration: null,
+            result: undefined,
+            error: null
+        };
+        const start = Date.now();
+
+        this.entries.push(entry);
+
+        try {
+            const result = await this.conn[method](...args);
+            entry.duration = Date.now() - start;
+            entry.result = serialize(result);
+            return result;
+        } catch (error) {
+            entry.duration = Date.now() - start;
+            entry.error = serializeError(error);
+            throw error;
+        }
+    }
+
+    toFixture() {
+        return {
+            version: FIXTURE_VERSION,
+            recordedAt: new Date(this.startedAt).toISOString(),
+            entries: this.entries
+        };
+    }
+
+    async save(filePath) {
+        await fs.promises.writeFile(filePath, JSON.stringify(this.toFixture(), null, 2));
+        return filePath;
+    }
+}
+
+// ============================================================================
+// REPLAY CONNECTION
+// ============================================================================
+
+class FixtureMissError extends Error {
+    constructor(method, args) {
+        super(`No recorded response for ${method}(${args.map(a => JSON.stringify(a)).join(', ')})`);
+        this.name = 'FixtureMissError';
+        this.method = method;
+        this.args = args;
+    }
+}
+
+/**
+ * Serves recorded fixture entries back without any network.
+ *
+ * Calls are matched by method and arguments and replayed in recorded order.
+ * Once a call's recordings are used up the last one repeats, unless `strict`
+ * is set, in which case any unrecorded call rejects with FixtureMissError.
+ * `replayTiming` re-applies recorded durations, scaled by `timeScale`.
+ */
+class ReplayConnection {
+    constructor(fixture, options = {}) {
+        if (!fixture || fixture.version !== FIXTURE_VERSION) {
+            throw new Error(`Unsupported fixture version: ${fixture && fixture.version}`);
+        }
+
+        this.strict = options.strict || false;
+        this.replayTiming = options.replayTiming || false;
+        this.timeScale = options.timeScale !== undefined ? options.timeScale : 1;
+        this.queues = new Map();
+        this.served = new Map();
+        this.misses = [];
+
+        for (const entry of fixture.entries) {
+            const key = entryKey(entry.method, entry.args);
+            if (!this.queues.has(key)) this.queues.set(key, []);
+            this.queues.get(key).push(entry);
+        }
+
+        for (const method of CONNECTION_METHODS) {
+            this[method] = (...args) => this._replay(method, args);
+        }
+    }
+
+    static async load(filePath, options = {}) {
+        const raw = await fs.promises.readFile(filePath, 'utf8');
+        return new ReplayConnection(JSON.parse(raw), options);
+    }
+
+    async _replay(method, args) {
+        const entry = this._nextEntry(method, serialize(args));
+
+        if (!entry) {
+            const error = new FixtureMissError(method, args);
+            this.misses.push({ method, args });
+
+            if (this.strict) throw error;
+            return undefined;
+        }
+
+        if (this.replayTiming && entry.duration > 0) {
+            await new Promise(resolve => setTimeout(resolve, entry.duration * this.timeScale));
+        }
+
+        if (entry.error) {
+            throw deserializeError(entry.error);
+        }
+
+        return entry.result;
+    }
+
+    _nextEntry(method, args) {
+        const key = entryKey(method, args);
+        const queue = this.queues.get(key);
+        if (!queue) return null;
+
+        const index = this.served.get(key) || 0;
+        if (index >= queue.length && this.strict) return null;
+
+        this.served.set(key, index + 1);
+        return queue[Math.min(index, queue.length - 1)];
+    }
+
+    /**
+     * Recorded entries that were never served
+     */
+    unused() {
+        const unused = [];
+
+        for (const [key, queue] of this.queues) {
+            unused.push(...queue.slice(this.served.get(key) || 0));
+        }
+
+        return unused;
+    }
+}
+
+// ============================================================================
+// SERIALIZATION HELPERS
+// ============================================================================
+
+function entryKey(method, args) {
+    return `${method}:${JSON.stringify(args)}`;
+}
+
+function serialize(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message || String(error),
+        statusCode: error.output ? error.output.statusCode : null,
+        data: error.data !== undefined ? serialize(error.data) : null
+    };
+}
+
+function deserializeError(spec) {
+    if (spec.statusCode) {
+        return MockConnection.createError(spec);
+    }
+
+    const error = new Error(spec.message);
+    if (spec.name) error.name = spec.name;
+    return error;
+}
+
+module.exports = {
+    RecordingConnection,
+    ReplayConnection,
+    FixtureMissError,
+    FIXTURE_VERSION
+};
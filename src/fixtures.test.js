@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WhatsAppValidator, MockConnection, RecordingConnection, ReplayConnection, FixtureMissError } = require('./index');
+
+const number = '+201012345678';
+const jid = '201012345678@s.whatsapp.net';
+
+function createValidator(conn) {
+    return new WhatsAppValidator(conn, {
+        enableRateLimiting: false,
+        enableCircuitBreaker: false,
+        enableCache: false,
+        retryOnFailure: false
+    });
+}
+
+describe('record and replay', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-fixtures-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('a saved fixture reproduces the recorded verdict offline', async () => {
+        const live = new MockConnection({ scenarios: { [number]: { fetchStatus: { error: { statusCode: 403 } } } } });
+        const recorder = new RecordingConnection(live);
+        const recording = createValidator(recorder);
+        const recorded = await recording.validate(number);
+        await recording.close();
+
+        const filePath = await recorder.save(path.join(dir, 'fixture.json'));
+        const replay = await ReplayConnection.load(filePath, { strict: true });
+        const replaying = createValidator(replay);
+        const replayed = await replaying.validate(number);
+        await replaying.close();
+
+        expect(replayed.ban).toEqual(recorded.ban);
+        expect(replayed.diagnostics.errorDetails.map(e => e.stage)).toEqual(recorded.diagnostics.errorDetails.map(e => e.stage));
+        expect(replay.misses).toEqual([]);
+        expect(replay.unused()).toEqual([]);
+    });
+
+    test('recorded errors come back Boom-shaped', async () => {
+        const recorder = new RecordingConnection(new MockConnection({ defaultScenario: { registered: false } }));
+        await expect(recorder.fetchStatus(jid)).rejects.toThrow();
+
+        const replay = new ReplayConnection(recorder.toFixture());
+
+        await expect(replay.fetchStatus(jid)).rejects.toMatchObject({ isBoom: true, output: { statusCode: 404 } });
+    });
+
+    test('strict replay rejects unrecorded calls; lenient replay repeats the last one', async () => {
+        const recorder = new RecordingConnection(new MockConnection());
+        await recorder.onWhatsApp(jid);
+        const fixture = recorder.toFixture();
+
+        const strict = new ReplayConnection(fixture, { strict: true });
+        await strict.onWhatsApp(jid);
+        await expect(strict.onWhatsApp(jid)).rejects.toBeInstanceOf(FixtureMissError);
+        await expect(strict.fetchStatus(jid)).rejects.toBeInstanceOf(FixtureMissError);
+
+        const lenient = new ReplayConnection(fixture);
+        await lenient.onWhatsApp(jid);
+        expect(await lenient.onWhatsApp(jid)).toEqual([{ jid, exists: true }]);
+        expect(await lenient.fetchStatus(jid)).toBeUndefined();
+        expect(lenient.misses).toHaveLength(1);
+    });
+
+    test('rejects fixtures of another version', () => {
+        expect(() => new ReplayConnection({ version: 99, entries: [] })).toThrow(/Unsupported fixture version/);
+    });
+});
@@ -0,0 +1,347 @@
+/**
+ * Scheduled re-validation of a fleet of owned numbers
+ *
+ * @module @whatsapp-tools/account-validator/fleet-monitor
+ */
+
+const EventEmitter = require('events');
+const { isFailedResult } = require('./results');
+
+const MonitorState = {
+    STOPPED: 'stopped',
+    RUNNING: 'running',
+    STOPPING: 'stopping'
+};
+
+// ============================================================================
+// FLEET MONITOR
+// ============================================================================
+
+/**
+ * Re-validates a registry of numbers, each on its own interval.
+ *
+ * An interval comes from the number itself, then its group, then the
+ * monitor default. On start() the first checks of numbers sharing an
+ * interval are spread evenly across that interval, and every later check is
+ * moved by up to `jitter` (a fraction of the interval) so they stay apart.
+ *
+ * A timer looks for due numbers every `tickInterval` and validates them as
+ * one cycle. A number whose cached result is younger than its interval is
+ * skipped and rescheduled from the time it was cached. Each cycle ends with
+ * a `cycle_complete` report.
+ */
+class FleetMonitor extends EventEmitter {
+    constructor(validator, options = {}) {
+        super();
+
+        this.validator = validator;
+        this.interval = options.interval || 3600000;
+        this.groups = options.groups || {};
+        this.jitter = options.jitter !== undefined ? options.jitter : 0.1;
+        this.tickInterval = options.tickInterval || 5000;
+        this.concurrency = options.concurrency || 5;
+        this.maxPerCycle = options.maxPerCycle || Infinity;
+        this.skipFresh = options.skipFresh !== false;
+
+        this.entries = new Map();
+        this.state = MonitorState.STOPPED;
+        this.cycles = 0;
+        this.lastReport = null;
+        this.timer = null;
+        this.current = null;
+        this.controller = null;
+
+        for (const item of options.numbers || []) {
+            this.add(item);
+        }
+    }
+
+    // ========== REGISTRY ==========
+
+    /**
+     * Add a number (or JID) to the fleet. Accepts a string or
+     * `{ number, group, interval, metadata }`.
+     */
+    add(item, options = {}) {
+        const spec = typeof item === 'string' ? { ...options, number: item } : { ...item, ...options };
+        const { jid, phone } = this.validator.resolveTarget(spec.number);
+
+        if (!jid) {
+            throw new Error(`Invalid number ${spec.number}: ${phone.error}`);
+        }
+
+        const entry = {
+            number: spec.number,
+            jid,
+            group: spec.group || null,
+            interval: spec.interval || null,
+            metadata: spec.metadata || null,
+            nextCheckAt: null,
+            lastCheckAt: null,
+            checks: 0,
+            status: null
+        };
+
+        const existing = this.entries.get(jid);
+        if (existing) {
+            entry.lastCheckAt = existing.lastCheckAt;
+            entry.checks = existing.checks;
+            entry.status = existing.status;
+        }
+
+        this.entries.set(jid, entry);
+
+        if (this.state === MonitorState.RUNNING) {
+            entry.nextCheckAt = existing && existing.lastCheckAt ?
+                this._nextCheck(entry, existing.lastCheckAt) :
+                Date.now() + Math.random() * this._intervalOf(entry);
+        }
+
+        return this._describe(entry);
+    }
+
+    /**
+     * Stop watching a number; resolves to whether it was registered
+     */
+    remove(number) {
+        const { jid } = this.validator.resolveTarget(number);
+        return jid ? this.entries.delete(jid) : false;
+    }
+
+    list() {
+        return [...this.entries.values()].map(entry => this._describe(entry));
+    }
+
+    // ========== LIFECYCLE ==========
+
+    start() {
+        if (this.state !== MonitorState.STOPPED) return this;
+
+        this.state = MonitorState.RUNNING;
+        this._spread(Date.now());
+        this.timer = setInterval(() => this._tick(), this.tickInterval);
+        this._tick();
+
+        return this;
+    }
+
+    /**
+     * Stop scheduling and cancel the cycle in progress, if any
+     */
+    async stop() {
+        if (this.state === MonitorState.STOPPED) return;
+
+        this.state = MonitorState.STOPPING;
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.controller) this.controller.abort();
+        if (this.current) await this.current;
+
+        this.state = MonitorState.STOPPED;
+    }
+
+    status() {
+        const now = Date.now();
+        let due = 0;
+        let nextCheckAt = null;
+
+        for (const entry of this.entries.values()) {
+            if (entry.nextCheckAt === null) continue;
+            if (entry.nextCheckAt <= now) due++;
+            if (nextCheckAt === null || entry.nextCheckAt < nextCheckAt) nextCheckAt = entry.nextCheckAt;
+        }
+
+        return {
+            state: this.state,
+            numbers: this.entries.size,
+            due,
+            cycleRunning: this.current !== null,
+            cycles: this.cycles,
+            nextCheckAt,
+            lastCycle: this.lastReport
+        };
+    }
+
+    /**
+     * Check every due number now. Resolves with the cycle report, or null
+     * when nothing was due. Runs at most one cycle at a time.
+     */
+    runCycle() {
+        if (this.current) return this.current;
+
+        this.current = this._runCycle().finally(() => {
+            this.current = null;
+        });
+
+        return this.current;
+    }
+
+    // ========== CYCLES ==========
+
+    _tick() {
+        if (this.state !== MonitorState.RUNNING || this.current) return;
+
+        this.runCycle().catch(error => {
+            this.emit('cycle_error', { error });
+        });
+    }
+
+    async _runCycle() {
+        const now = Date.now();
+        const due = [...this.entries.values()]
+            .filter(entry => entry.nextCheckAt === null || entry.nextCheckAt <= now)
+            .sort((a, b) => (a.nextCheckAt || 0) - (b.nextCheckAt || 0))
+            .slice(0, this.maxPerCycle);
+
+        if (due.length === 0) return null;
+
+        const report = {
+            cycle: ++this.cycles,
+            startedAt: now,
+            finishedAt: null,
+            duration: 0,
+            due: due.length,
+            checked: 0,
+            skipped: 0,
+            failed: 0,
+            aborted: 0,
+            byBanType: {},
+            newlyBanned: [],
+            recovered: [],
+            changed: []
+        };
+
+        const toCheck = [];
+        for (const entry of due) {
+            const cached = this.skipFresh ? await this.validator.getCachedResult(entry.jid) : null;
+
+            if (cached && cached.cache && cached.cache.cachedAt > now - this._intervalOf(entry)) {
+                report.skipped++;
+                this._observe(entry, cached, cached.cache.cachedAt, report);
+            } else {
+                toCheck.push(entry);
+            }
+        }
+
+        if (toCheck.length > 0) {
+            this.controller = new AbortController();
+
+            try {
+                const results = await this.validator.validateBatch(toCheck.map(entry => entry.number), {
+                    concurrency: this.concurrency,
+                    skipCache: true,
+                    signal: this.controller.signal
+                });
+
+                results.forEach((result, i) => {
+                    if (result.aborted) {
+                        report.aborted++;
+                    } else {
+                        report.checked++;
+                        this._observe(toCheck[i], result, Date.now(), report);
+                    }
+                });
+            } finally {
+                this.controller = null;
+            }
+        }
+
+        report.finishedAt = Date.now();
+        report.duration = report.finishedAt - report.startedAt;
+        this.lastReport = report;
+
+        this.emit('cycle_complete', report);
+        return report;
+    }
+
+    /**
+     * Fold one result into the entry and the cycle report
+     */
+    _observe(entry, result, checkedAt, report) {
+        entry.lastCheckAt = checkedAt;
+        entry.checks++;
+        entry.nextCheckAt = this._nextCheck(entry, checkedAt);
+
+        // A failed validation says nothing about the account
+        if (isFailedResult(result)) {
+            report.failed++;
+            return;
+        }
+
+        const status = { isBanned: result.ban.isBanned, banType: result.ban.type };
+        const previous = entry.status;
+        entry.status = status;
+
+        report.byBanType[status.banType] = (report.byBanType[status.banType] || 0) + 1;
+
+        if (!previous || previous.banType === status.banType) return;
+
+        const change = {
+            number: entry.number,
+            jid: entry.jid,
+            group: entry.group,
+            metadata: entry.metadata,
+            from: previous.banType,
+            to: status.banType,
+            result
+        };
+
+        report.changed.push(change);
+        if (!previous.isBanned && status.isBanned) report.newlyBanned.push(change);
+        if (previous.isBanned && !status.isBanned) report.recovered.push(change);
+    }
+
+    // ========== SCHEDULING ==========
+
+    /**
+     * First checks: numbers sharing an interval are spaced evenly across it
+     */
+    _spread(now) {
+        const byInterval = new Map();
+
+        for (const entry of this.entries.values()) {
+            const interval = this._intervalOf(entry);
+            if (!byInterval.has(interval)) byInterval.set(interval, []);
+            byInterval.get(interval).push(entry);
+        }
+
+        for (const [interval, entries] of byInterval) {
+            entries.forEach((entry, i) => {
+                entry.nextCheckAt = entry.lastCheckAt ?
+                    this._nextCheck(entry, entry.lastCheckAt) :
+                    now + Math.floor(interval * i / entries.length);
+            });
+        }
+    }
+
+    _nextCheck(entry, from) {
+        const interval = this._intervalOf(entry);
+        const offset = interval * this.jitter * (Math.random() * 2 - 1);
+        return Math.round(from + interval + offset);
+    }
+
+    _intervalOf(entry) {
+        const group = entry.group ? this.groups[entry.group] : null;
+        return entry.interval || (group && group.interval) || this.interval;
+    }
+
+    _describe(entry) {
+        return {
+            number: entry.number,
+            jid: entry.jid,
+            group: entry.group,
+            interval: this._intervalOf(entry),
+            metadata: entry.metadata,
+            nextCheckAt: entry.nextCheckAt,
+            lastCheckAt: entry.lastCheckAt,
+            checks: entry.checks,
+            status: entry.status
+        };
+    }
+}
+
+module.exports = {
+    FleetMonitor,
+    MonitorState
+};
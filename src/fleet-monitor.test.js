@@ -0,0 +1,189 @@
+const { WhatsAppValidator, MockConnection, FleetMonitor, BanType } = require('./index');
+
+const number = '+201012345678';
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('FleetMonitor', () => {
+    let conn;
+    let validator;
+
+    beforeEach(() => {
+        conn = new MockConnection();
+        validator = new WhatsAppValidator(conn, {
+            enableRateLimiting: false,
+            enableCircuitBreaker: false,
+            retryOnFailure: false
+        });
+    });
+
+    afterEach(() => validator.close());
+
+    test('add() and remove() accept any spelling of a number', () => {
+        const monitor = new FleetMonitor(validator);
+        const added = monitor.add('+20 101 234 5678', { group: 'support' });
+
+        expect(added.jid).toBe('201012345678@s.whatsapp.net');
+        expect(added.group).toBe('support');
+        expect(() => monitor.add('12')).toThrow(/Invalid number/);
+        expect(monitor.remove('201012345678@s.whatsapp.net')).toBe(true);
+        expect(monitor.list()).toHaveLength(0);
+    });
+
+    test('reports a ban against the previous verdict', async () => {
+        const monitor = new FleetMonitor(validator, { numbers: [number], interval: 1, jitter: 0 });
+
+        const first = await monitor.runCycle();
+        expect(first.byBanType).toEqual({ [BanType.NONE]: 1 });
+        expect(first.newlyBanned).toHaveLength(0);
+
+        conn.setScenario(number, { registered: false });
+        await delay(5);
+        const second = await monitor.runCycle();
+
+        expect(second.newlyBanned).toHaveLength(1);
+        expect(second.newlyBanned[0]).toMatchObject({ from: BanType.NONE, to: BanType.PERMANENT });
+    });
+
+    test('a failed registration check counts as failed, not as a ban', async () => {
+        const monitor = new FleetMonitor(validator, { numbers: [number], interval: 1, jitter: 0 });
+        await monitor.runCycle();
+
+        conn.setScenario(number, { onWhatsApp: { error: { statusCode: 429 } } });
+        await delay(5);
+        const report = await monitor.runCycle();
+
+        expect(report.failed).toBe(1);
+        expect(report.newlyBanned).toHaveLength(0);
+        expect(report.changed).toHaveLength(0);
+        expect(monitor.list()[0].status.banType).toBe(BanType.NONE);
+    });
+});
+
+describe('FleetMonitor scheduling', () => {
+    const T0 = new Date('2026-01-01T00:00:00Z').getTime();
+    const numbers = ['+201012345670', '+201012345671', '+201012345672', '+201012345673'];
+    let conn;
+    let validator;
+    let monitor;
+    let cycles;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(T0);
+
+        conn = new MockConnection();
+        validator = new WhatsAppValidator(conn, {
+            enableRateLimiting: false,
+            enableCircuitBreaker: false,
+            retryOnFailure: false
+        });
+        monitor = null;
+        cycles = [];
+    });
+
+    afterEach(async () => {
+        if (monitor) await monitor.stop();
+        await validator.close();
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+    });
+
+    function createMonitor(options) {
+        monitor = new FleetMonitor(validator, { tickInterval: 1000, ...options });
+        monitor.on('cycle_complete', report => cycles.push(report));
+        return monitor;
+    }
+
+    const nextChecks = () => monitor.list().map(entry => entry.nextCheckAt - T0);
+
+    test('start() spreads first checks evenly across each interval', () => {
+        createMonitor({
+            numbers: [...numbers, { number: '+201012345680', group: 'vip' }, { number: '+201012345681', group: 'vip' }],
+            interval: 60000,
+            groups: { vip: { interval: 10000 } }
+        });
+
+        monitor.start();
+
+        expect(nextChecks()).toEqual([0, 15000, 30000, 45000, 0, 5000]);
+        expect(monitor.status()).toMatchObject({ state: 'running', due: 2, cycleRunning: true });
+    });
+
+    test('checks the due numbers right away, then on every tick, emitting cycle_complete', async () => {
+        createMonitor({ numbers, interval: 60000, jitter: 0 });
+
+        monitor.start();
+        await monitor.runCycle();
+
+        expect(cycles).toHaveLength(1);
+        expect(cycles[0]).toMatchObject({ cycle: 1, startedAt: T0, due: 1, checked: 1, skipped: 0, failed: 0, aborted: 0 });
+        expect(cycles[0].byBanType).toEqual({ [BanType.NONE]: 1 });
+
+        // Nothing due before the second slot
+        await jest.advanceTimersByTimeAsync(14000);
+        expect(cycles).toHaveLength(1);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        await monitor.runCycle();
+
+        expect(cycles).toHaveLength(2);
+        expect(cycles[1]).toMatchObject({ cycle: 2, startedAt: T0 + 15000, due: 1, checked: 1 });
+        expect(monitor.list()[1]).toMatchObject({ lastCheckAt: T0 + 15000, nextCheckAt: T0 + 75000, checks: 1 });
+        expect(monitor.status().lastCycle).toBe(cycles[1]);
+    });
+
+    test('later checks move by at most jitter * interval', async () => {
+        createMonitor({ numbers: numbers.slice(0, 1), interval: 60000, jitter: 0.25, skipFresh: false });
+        const random = jest.spyOn(Math, 'random');
+
+        random.mockReturnValue(0);
+        await monitor.runCycle();
+        expect(nextChecks()).toEqual([60000 - 15000]);
+
+        jest.setSystemTime(T0 + 45000);
+        random.mockReturnValue(0.999999);
+        await monitor.runCycle();
+        expect(nextChecks()).toEqual([45000 + 60000 + 15000]);
+
+        random.mockRestore();
+        for (let i = 0; i < 20; i++) {
+            const { nextCheckAt } = monitor.list()[0];
+            jest.setSystemTime(nextCheckAt);
+            await monitor.runCycle();
+
+            const offset = monitor.list()[0].nextCheckAt - nextCheckAt - 60000;
+            expect(Math.abs(offset)).toBeLessThanOrEqual(15000);
+        }
+    });
+
+    test('stop() clears the tick timer, and no cycle runs after it', async () => {
+        createMonitor({ numbers, interval: 60000 });
+
+        monitor.start();
+        await monitor.runCycle();
+        await monitor.stop();
+
+        expect(monitor.timer).toBeNull();
+        expect(monitor.status()).toMatchObject({ state: 'stopped', cycleRunning: false });
+
+        await jest.advanceTimersByTimeAsync(120000);
+        expect(cycles).toHaveLength(1);
+    });
+
+    test('stop() aborts the cycle in progress and waits for it', async () => {
+        conn.setScenario(numbers[0], { onWhatsApp: { hang: true } });
+        createMonitor({ numbers, interval: 60000 });
+
+        monitor.start();
+        await jest.advanceTimersByTimeAsync(0);
+        expect(monitor.status().cycleRunning).toBe(true);
+        expect(conn.callCount('onWhatsApp', numbers[0])).toBe(1);
+
+        await monitor.stop();
+
+        expect(monitor.status()).toMatchObject({ state: 'stopped', cycleRunning: false });
+        expect(cycles).toHaveLength(1);
+        expect(cycles[0]).toMatchObject({ due: 1, checked: 0, aborted: 1 });
+        expect(monitor.list()[0]).toMatchObject({ checks: 0, lastCheckAt: null });
+    });
+});
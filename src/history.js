@@ -0,0 +1,251 @@
+/**
+ * Per-account status history
+ *
+ * Keeps a timeline of verdicts per normalized JID. Consecutive verdicts with
+ * the same tracked state are folded into one entry (`checks` counts them,
+ * `lastSeen` moves forward), so a number polled every few minutes keeps its
+ * transitions instead of filling the timeline with repeats.
+ *
+ * A history store keeps timelines (arrays of entries, oldest first) by key
+ * and implements:
+ *
+ *   get(key)          -> entries | null
+ *   set(key, entries)
+ *   delete(key)       -> boolean
+ *   keys()            -> iterable of keys
+ *   clear()
+ *
+ * Any method may return a promise.
+ *
+ * @module @whatsapp-tools/account-validator/history
+ */
+
+const { AppendLog } = require('./append-log');
+const { getPath } = require('./csv');
+
+// Fields whose change starts a new timeline entry
+const DEFAULT_TRACKED_FIELDS = ['isRegistered', 'ban.type', 'review.available', 'review.type'];
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+class MemoryHistoryStore {
+    constructor() {
+        this.name = 'memory';
+        this.map = new Map();
+    }
+
+    get(key) {
+        return this.map.get(key) || null;
+    }
+
+    set(key, entries) {
+        this.map.set(key, entries);
+    }
+
+    delete(key) {
+        return this.map.delete(key);
+    }
+
+    keys() {
+        return this.map.keys();
+    }
+
+    clear() {
+        this.map.clear();
+    }
+}
+
+/**
+ * Timelines that survive restarts, kept in an AppendLog like FileCacheStore.
+ * The log is rewritten with only the current timelines once it holds
+ * `compactionRatio` times more lines than keys.
+ */
+class FileHistoryStore extends MemoryHistoryStore {
+    constructor(options = {}) {
+        super();
+
+        if (!options.filePath) {
+            throw new Error('FileHistoryStore requires a filePath');
+        }
+
+        this.name = 'file';
+        this.filePath = options.filePath;
+        this.log = new AppendLog(options);
+        this._load();
+    }
+
+    set(key, entries) {
+        super.set(key, entries);
+        this._append({ op: 'set', key, entries });
+    }
+
+    delete(key) {
+        const existed = super.delete(key);
+        if (existed) this._append({ op: 'delete', key });
+        return existed;
+    }
+
+    clear() {
+        super.clear();
+        this.compact();
+    }
+
+    /**
+     * Rewrite the log with one line per timeline
+     */
+    compact() {
+        const records = [];
+
+        for (const [key, entries] of this.map) {
+            records.push({ op: 'set', key, entries });
+        }
+
+        this.log.rewrite(records);
+    }
+
+    _append(record) {
+        if (this.log.append(record, this.map.size)) {
+            this.compact();
+        }
+    }
+
+    _load() {
+        this.log.replay(record => {
+            if (record.op === 'set') {
+                this.map.set(record.key, record.entries);
+            } else if (record.op === 'delete') {
+                this.map.delete(record.key);
+            }
+        });
+    }
+}
+
+// ============================================================================
+// STATUS HISTORY
+// ============================================================================
+
+class StatusHistory {
+    constructor(options = {}) {
+        this.store = options.store || new MemoryHistoryStore();
+        this.maxEntries = options.maxEntries || 100;
+        this.fields = options.fields || DEFAULT_TRACKED_FIELDS;
+    }
+
+    /**
+     * Add a verdict to its JID's timeline. Returns `{ previous, current,
+     * changes }` when a tracked field differs from the last verdict, else null.
+     */
+    async record(result) {
+        const state = this._snapshot(result);
+        const entries = (await this.store.get(result.jid)) || [];
+        const last = entries[entries.length - 1];
+
+        if (last) {
+            const changes = this.fields.filter(field => getPath(last, field) !== getPath(state, field));
+
+            if (changes.length === 0) {
+                Object.assign(last, state, { timestamp: last.timestamp, checks: last.checks + 1, changes: last.changes });
+                await this.store.set(result.jid, entries);
+                return null;
+            }
+
+            state.changes = changes;
+        }
+
+        entries.push(state);
+        await this.store.set(result.jid, entries.slice(-this.maxEntries));
+
+        return last ? { previous: last, current: state, changes: state.changes } : null;
+    }
+
+    /**
+     * Timeline for one JID, oldest first
+     */
+    async getHistory(jid) {
+        return (await this.store.get(jid)) || [];
+    }
+
+    /**
+     * Transitions across all JIDs (or `jid` only), oldest first. `since` and
+     * `until` bound the transition time; `from` and `to` match ban types;
+     * `field` keeps transitions that changed that field.
+     */
+    async getTransitions(query = {}) {
+        const since = query.since !== undefined ? new Date(query.since).getTime() : -Infinity;
+        const until = query.until !== undefined ? new Date(query.until).getTime() : Infinity;
+        const keys = query.jid !== undefined ? [query.jid] : [...await this.store.keys()];
+        const transitions = [];
+
+        for (const jid of keys) {
+            const entries = (await this.store.get(jid)) || [];
+
+            for (let i = 1; i < entries.length; i++) {
+                const previous = entries[i - 1];
+                const current = entries[i];
+
+                if (current.timestamp < since || current.timestamp > until) continue;
+                if (query.from !== undefined && previous.ban.type !== query.from) continue;
+                if (query.to !== undefined && current.ban.type !== query.to) continue;
+                if (query.field !== undefined && !current.changes.includes(query.field)) continue;
+
+                transitions.push({
+                    jid,
+                    number: current.number,
+                    timestamp: current.timestamp,
+                    previous,
+                    current,
+                    changes: current.changes
+                });
+            }
+        }
+
+        return transitions.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Forget one JID, or every JID when none is given
+     */
+    async clear(jid) {
+        if (jid === undefined) {
+            await this.store.clear();
+        } else {
+            await this.store.delete(jid);
+        }
+    }
+
+    _snapshot(result) {
+        return {
+            number: result.phone && result.phone.e164 ? result.phone.e164 : result.number,
+            timestamp: result.timestamp,
+            lastSeen: result.timestamp,
+            checks: 1,
+            isRegistered: result.isRegistered,
+            isActive: result.isActive,
+            ban: {
+                isBanned: result.ban.isBanned,
+                type: result.ban.type
+            },
+            review: {
+                available: result.review.available,
+                type: result.review.type
+            },
+            account: {
+                hasStatus: result.account.hasStatus,
+                hasProfilePicture: result.account.hasProfilePicture,
+                isBusinessAccount: result.account.isBusinessAccount,
+                age: result.account.age,
+                presenceAvailable: result.account.presenceAvailable
+            },
+            changes: []
+        };
+    }
+}
+
+module.exports = {
+    StatusHistory,
+    MemoryHistoryStore,
+    FileHistoryStore,
+    DEFAULT_TRACKED_FIELDS
+};
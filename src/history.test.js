@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WhatsAppValidator, MockConnection, StatusHistory, FileHistoryStore, BanType } = require('./index');
+
+function verdict(jid, banType, timestamp) {
+    return {
+        number: jid.split('@')[0],
+        jid,
+        timestamp,
+        isRegistered: banType !== BanType.PERMANENT,
+        isActive: banType === BanType.NONE,
+        ban: { isBanned: banType !== BanType.NONE, type: banType },
+        review: { available: false, type: null },
+        account: {}
+    };
+}
+
+describe('StatusHistory', () => {
+    const jid = '201012345678@s.whatsapp.net';
+
+    test('folds repeats and reports transitions', async () => {
+        const history = new StatusHistory();
+
+        expect(await history.record(verdict(jid, BanType.NONE, 1))).toBeNull();
+        expect(await history.record(verdict(jid, BanType.NONE, 2))).toBeNull();
+
+        const transition = await history.record(verdict(jid, BanType.SPAM, 3));
+        expect(transition.previous.ban.type).toBe(BanType.NONE);
+        expect(transition.changes).toEqual(['ban.type']);
+
+        const timeline = await history.getHistory(jid);
+        expect(timeline).toHaveLength(2);
+        expect(timeline[0]).toMatchObject({ checks: 2, timestamp: 1, lastSeen: 2 });
+    });
+
+    test('filters transitions by time, ban type and field', async () => {
+        const history = new StatusHistory();
+        await history.record(verdict(jid, BanType.NONE, 1));
+        await history.record(verdict(jid, BanType.SPAM, 2));
+        await history.record(verdict(jid, BanType.NONE, 3));
+
+        expect(await history.getTransitions()).toHaveLength(2);
+        expect(await history.getTransitions({ to: BanType.SPAM })).toHaveLength(1);
+        expect(await history.getTransitions({ since: 3 })).toHaveLength(1);
+        expect(await history.getTransitions({ field: 'isRegistered' })).toHaveLength(0);
+    });
+
+    test('keeps at most maxEntries per JID', async () => {
+        const history = new StatusHistory({ maxEntries: 2 });
+        await history.record(verdict(jid, BanType.NONE, 1));
+        await history.record(verdict(jid, BanType.SPAM, 2));
+        await history.record(verdict(jid, BanType.NONE, 3));
+
+        expect((await history.getHistory(jid)).map(e => e.timestamp)).toEqual([2, 3]);
+    });
+});
+
+describe('FileHistoryStore', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-history-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('replays timelines after a restart and skips a torn last line', () => {
+        const filePath = path.join(dir, 'history.ndjson');
+        const store = new FileHistoryStore({ filePath });
+        store.set('a', [{ n: 1 }]);
+        store.set('b', [{ n: 2 }]);
+        store.delete('b');
+        fs.appendFileSync(filePath, '{"op":"set","key":"c","entr');
+
+        const reopened = new FileHistoryStore({ filePath });
+
+        expect(reopened.get('a')).toEqual([{ n: 1 }]);
+        expect(reopened.get('b')).toBeNull();
+        expect([...reopened.keys()]).toEqual(['a']);
+    });
+
+    test('compacts once the log outgrows its keys', () => {
+        const filePath = path.join(dir, 'history.ndjson');
+        const store = new FileHistoryStore({ filePath, compactionMinLines: 4 });
+
+        for (let i = 0; i < 4; i++) store.set('a', [{ n: i }]);
+
+        expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(1);
+        expect(new FileHistoryStore({ filePath }).get('a')).toEqual([{ n: 3 }]);
+    });
+});
+
+describe('validator history', () => {
+    const number = '+201012345678';
+    let validator;
+
+    afterEach(() => validator.close());
+
+    test('emits status_changed when a number gets banned', async () => {
+        const conn = new MockConnection();
+        validator = new WhatsAppValidator(conn, { enableRateLimiting: false, enableCache: false });
+        const changes = [];
+        validator.on('status_changed', event => changes.push(event));
+
+        await validator.validate(number);
+        conn.setScenario(number, { registered: false });
+        await validator.validate(number);
+
+        expect(changes).toHaveLength(1);
+        expect(changes[0].previous.ban.type).toBe(BanType.NONE);
+        expect(changes[0].current.ban.type).toBe(BanType.PERMANENT);
+    });
+
+    test('a registration error is kept off the timeline', async () => {
+        const conn = new MockConnection();
+        validator = new WhatsAppValidator(conn, {
+            enableRateLimiting: false,
+            enableCache: false,
+            enableCircuitBreaker: false,
+            retryOnFailure: false
+        });
+        const changes = [];
+        validator.on('status_changed', event => changes.push(event));
+
+        await validator.validate(number);
+        conn.setScenario(number, { onWhatsApp: { error: { statusCode: 429 } } });
+        const throttled = await validator.validate(number);
+
+        expect(throttled.ban.type).toBe(BanType.PERMANENT);
+        expect(changes).toHaveLength(0);
+        expect(await validator.getHistory(number)).toHaveLength(1);
+    });
+});
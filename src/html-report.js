@@ -0,0 +1,261 @@
+/**
+ * Self-contained HTML report for a batch of results
+ *
+ * @module @whatsapp-tools/account-validator/html-report
+ */
+
+const { isFailedResult } = require('./results');
+
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #1f2328; background: #f6f8fa; }
+h1 { margin: 0 0 4px; font-size: 22px; }
+h2 { font-size: 17px; margin: 28px 0 10px; }
+.meta { color: #656d76; font-size: 13px; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 16px; }
+.card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; min-width: 110px; }
+.card .value { font-size: 24px; font-weight: 600; }
+.card .label { color: #656d76; font-size: 12px; text-transform: uppercase; letter-spacing: .04em; }
+.card.none .value { color: #1a7f37; }
+.card.spam .value { color: #9a6700; }
+.card.violation .value { color: #bc4c00; }
+.card.permanent .value, .card.failed .value { color: #cf222e; }
+table { border-collapse: collapse; width: 100%; background: #fff; border: 1px solid #d0d7de; font-size: 13px; }
+th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #d8dee4; vertical-align: top; }
+th { background: #f6f8fa; cursor: pointer; user-select: none; white-space: nowrap; }
+th[data-dir="asc"]::after { content: " \\25B2"; }
+th[data-dir="desc"]::after { content: " \\25BC"; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+.badge { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 12px; background: #eaeef2; }
+.badge.none { background: #dafbe1; color: #1a7f37; }
+.badge.spam { background: #fff8c5; color: #9a6700; }
+.badge.violation { background: #fff1e5; color: #bc4c00; }
+.badge.permanent { background: #ffebe9; color: #cf222e; }
+details summary { cursor: pointer; color: #0969da; }
+details table { margin: 8px 0; font-size: 12px; }
+ul { margin: 4px 0; padding-left: 20px; }
+.empty { color: #656d76; font-style: italic; }
+`;
+
+const SORT_SCRIPT = `
+document.querySelectorAll('table.sortable th[data-key]').forEach(function (th) {
+  th.addEventListener('click', function () {
+    var table = th.closest('table');
+    var body = table.tBodies[0];
+    var index = Array.prototype.indexOf.call(th.parentNode.children, th);
+    var numeric = th.dataset.type === 'number';
+    var dir = th.dataset.dir === 'asc' ? 'desc' : 'asc';
+    table.querySelectorAll('th').forEach(function (h) { delete h.dataset.dir; });
+    th.dataset.dir = dir;
+    var rows = Array.prototype.slice.call(body.rows);
+    rows.sort(function (a, b) {
+      var x = a.cells[index].dataset.sort, y = b.cells[index].dataset.sort;
+      var cmp = numeric ? (parseFloat(x) || 0) - (parseFloat(y) || 0) : x.localeCompare(y);
+      return dir === 'asc' ? cmp : -cmp;
+    });
+    rows.forEach(function (row) { body.appendChild(row); });
+  });
+});
+`;
+
+// ============================================================================
+// RENDERER
+// ============================================================================
+
+/**
+ * Render results (and optionally an AnalyticsEngine report) as one HTML
+ * document with inline CSS and script - no external assets.
+ *
+ * Options: `title`, `analytics` (getAnalytics() output), `banTypes` (the
+ * BanType values to count, in display order) and `generatedAt`.
+ */
+function renderHTMLReport(results, options = {}) {
+    if (!Array.isArray(results)) results = [results];
+
+    const title = options.title || 'WhatsApp Account Validation Report';
+    const generatedAt = new Date(options.generatedAt || Date.now());
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        `<title>${escapeHTML(title)}</title>`,
+        `<style>${STYLES}</style>`,
+        '</head>',
+        '<body>',
+        `<h1>${escapeHTML(title)}</h1>`,
+        `<div class="meta">Generated ${escapeHTML(generatedAt.toISOString())} &middot; ${results.length} numbers</div>`,
+        renderSummary(results, options.banTypes),
+        options.analytics ? renderAnalytics(options.analytics) : '',
+        '<h2>Results</h2>',
+        renderResultsTable(results),
+        `<script>${SORT_SCRIPT}</script>`,
+        '</body>',
+        '</html>'
+    ].join('\n');
+}
+
+function renderSummary(results, banTypes) {
+    const byType = {};
+    for (const type of banTypes || []) byType[type] = 0;
+
+    let invalid = 0;
+    let failed = 0;
+    let aborted = 0;
+
+    for (const result of results) {
+        if (result.phone && result.phone.isValid === false) {
+            invalid++;
+        } else if (result.aborted) {
+            aborted++;
+        } else if (isFailedResult(result)) {
+            failed++;
+        } else {
+            byType[result.ban.type] = (byType[result.ban.type] || 0) + 1;
+        }
+    }
+
+    const cards = [
+        card('total', 'Total', results.length),
+        ...Object.entries(byType).map(([type, count]) => card(type, type, count)),
+        card('invalid', 'Invalid numbers', invalid),
+        card('failed', 'Failed', failed),
+        ...(aborted > 0 ? [card('aborted', 'Aborted', aborted)] : [])
+    ];
+
+    return `<h2>Summary by ban type</h2>\n<div class="cards">${cards.join('')}</div>`;
+}
+
+function card(className, label, value) {
+    return `<div class="card ${escapeHTML(className)}"><div class="value">${value}</div>` +
+        `<div class="label">${escapeHTML(label)}</div></div>`;
+}
+
+function renderAnalytics(analytics) {
+    const summary = analytics.summary || {};
+    const trends = analytics.trends || {};
+    const rows = [
+        ['Total validations', summary.totalValidations],
+        ['Successful', summary.successfulValidations],
+        ['Failed', summary.failedValidations],
+        ['Banned', summary.bannedAccounts],
+        ['Active', summary.activeAccounts],
+        ['Average response time', summary.avgResponseTime !== undefined ? `${Math.round(summary.avgResponseTime)} ms` : null],
+        ['Recent ban rate', trends.recentBanRate !== undefined ? `${(trends.recentBanRate * 100).toFixed(1)}%` : null],
+        ['Trend', trends.trend || trends.status]
+    ].filter(([, value]) => value !== undefined && value !== null);
+
+    return [
+        '<h2>Analytics</h2>',
+        keyValueTable(rows),
+        summary.probesStats ? '<h2>Detection methods</h2>' + keyValueTable(Object.entries(summary.probesStats)) : '',
+        '<h2>Fleet recommendations</h2>',
+        renderList(analytics.recommendations)
+    ].join('\n');
+}
+
+function renderResultsTable(results) {
+    const columns = [
+        { key: 'number', label: 'Number' },
+        { key: 'status', label: 'Status' },
+        { key: 'banType', label: 'Ban type' },
+        { key: 'review', label: 'Review' },
+        { key: 'age', label: 'Account age' },
+        { key: 'probes', label: 'Probes OK', type: 'number' },
+        { key: 'responseTime', label: 'Response (ms)', type: 'number' },
+        { key: 'summary', label: 'Summary' }
+    ];
+
+    const header = columns
+        .map(c => `<th data-key="${c.key}"${c.type ? ` data-type="${c.type}"` : ''}>${escapeHTML(c.label)}</th>`)
+        .join('') + '<th>Details</th>';
+
+    const rows = results.map(result => {
+        const d = result.diagnostics;
+        const cells = [
+            cell(result.number),
+            cell(statusOf(result)),
+            `<td data-sort="${escapeHTML(result.ban.type)}"><span class="badge ${escapeHTML(result.ban.type)}">${escapeHTML(result.ban.type)}</span></td>`,
+            cell(result.review.available ? result.review.type : '-'),
+            cell(result.account.age),
+            cell(`${d.probsSuccessful}/${d.probsExecuted}`, d.probsExecuted ? d.probsSuccessful / d.probsExecuted : 0, 'num'),
+            cell(d.responseTime === null ? '-' : d.responseTime, d.responseTime === null ? -1 : d.responseTime, 'num'),
+            cell(result.summary)
+        ];
+
+        return `<tr>${cells.join('')}<td>${renderDetails(result)}</td></tr>`;
+    });
+
+    return `<table class="sortable">\n<thead><tr>${header}</tr></thead>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>`;
+}
+
+function renderDetails(result) {
+    const d = result.diagnostics;
+    const probes = d.probeResults.map(p => [p.name, p.status, `${p.duration} ms`, p.error || '']);
+    const errors = d.errorDetails.map(e => [e.stage, e.code || '', e.error]);
+
+    return [
+        '<details><summary>Show</summary>',
+        '<strong>Probe results</strong>',
+        probes.length ? dataTable(['Probe', 'Status', 'Duration', 'Error'], probes) : '<div class="empty">None</div>',
+        '<strong>Errors</strong>',
+        errors.length ? dataTable(['Stage', 'Code', 'Error'], errors) : '<div class="empty">None</div>',
+        '<strong>Fallbacks used</strong>',
+        renderList(d.fallbacksUsed),
+        '<strong>Detection methods</strong>',
+        renderList(result.ban.detectionMethods),
+        '<strong>Recommendations</strong>',
+        renderList(result.recommendations),
+        '</details>'
+    ].join('');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function statusOf(result) {
+    if (result.phone && result.phone.isValid === false) return 'Invalid number';
+    if (result.aborted) return 'Aborted';
+    if (result.skipped) return 'Skipped';
+    if (isFailedResult(result)) return 'Failed';
+    if (!result.isRegistered) return 'Not registered';
+    if (result.ban.isBanned) return 'Banned';
+    return result.isActive ? 'Active' : 'Inactive';
+}
+
+function cell(value, sortValue = value, className = null) {
+    const text = value === null || value === undefined ? '' : String(value);
+    const cls = className ? ` class="${className}"` : '';
+    return `<td${cls} data-sort="${escapeHTML(String(sortValue))}">${escapeHTML(text)}</td>`;
+}
+
+function keyValueTable(rows) {
+    if (rows.length === 0) return '<div class="empty">None</div>';
+    return dataTable(null, rows);
+}
+
+function dataTable(headers, rows) {
+    const head = headers ? `<thead><tr>${headers.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr></thead>` : '';
+    const body = rows.map(row => `<tr>${row.map(v => `<td>${escapeHTML(String(v))}</td>`).join('')}</tr>`).join('');
+    return `<table>${head}<tbody>${body}</tbody></table>`;
+}
+
+function renderList(items) {
+    if (!items || items.length === 0) return '<div class="empty">None</div>';
+    return `<ul>${items.map(item => `<li>${escapeHTML(String(item))}</li>`).join('')}</ul>`;
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+    renderHTMLReport
+};
@@ -0,0 +1,47 @@
+const { WhatsAppValidator, MockConnection, BanType, renderHTMLReport } = require('./index');
+
+describe('renderHTMLReport', () => {
+    let conn;
+    let validator;
+    let results;
+
+    beforeEach(async () => {
+        conn = new MockConnection({ scenarios: { '+201012345679': { registered: false } } });
+        validator = new WhatsAppValidator(conn, { enableRateLimiting: false, enableCircuitBreaker: false });
+        results = await validator.validateBatch(['+201012345678', '+201012345679', '12'], { concurrency: 3 });
+    });
+
+    afterEach(() => validator.close());
+
+    test('counts each ban type, invalid numbers and failures', () => {
+        const html = renderHTMLReport(results, { banTypes: [BanType.NONE, BanType.SPAM, BanType.PERMANENT] });
+        const counts = [...html.matchAll(/<div class="card ([a-z]+)"><div class="value">(\d+)<\/div>/g)]
+            .map(([, name, value]) => [name, Number(value)]);
+
+        expect(counts).toEqual([
+            ['total', 3],
+            [BanType.NONE, 1],
+            [BanType.SPAM, 0],
+            [BanType.PERMANENT, 1],
+            ['invalid', 1],
+            ['failed', 0]
+        ]);
+        expect(html).toContain('>Not registered</td>');
+        expect(html).toContain('>Invalid number</td>');
+    });
+
+    test('is self-contained and escapes user text', () => {
+        const html = renderHTMLReport(results, { title: '<Nightly & "ops">', generatedAt: '2026-01-01T00:00:00Z' });
+
+        expect(html).toContain('<title>&lt;Nightly &amp; &quot;ops&quot;&gt;</title>');
+        expect(html).toContain('Generated 2026-01-01T00:00:00.000Z');
+        expect(html).not.toMatch(/<(script|link|img)[^>]+(src|href)=/);
+    });
+
+    test('includes analytics when given', () => {
+        const html = renderHTMLReport(results, { analytics: validator.getAnalytics() });
+
+        expect(html).toContain('<h2>Analytics</h2>');
+        expect(validator.exportHTML(results)).toContain('<h2>Analytics</h2>');
+    });
+});
@@ -0,0 +1,266 @@
+/**
+ * Number list import from CSV, NDJSON and vCard files
+ *
+ * @module @whatsapp-tools/account-validator/importers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('./csv');
+const { parsePhoneNumber } = require('./phone-number');
+
+const ImportFormat = {
+    CSV: 'csv',
+    NDJSON: 'ndjson',
+    VCARD: 'vcard'
+};
+
+const FORMAT_EXTENSIONS = {
+    '.csv': ImportFormat.CSV,
+    '.tsv': ImportFormat.CSV,
+    '.ndjson': ImportFormat.NDJSON,
+    '.jsonl': ImportFormat.NDJSON,
+    '.vcf': ImportFormat.VCARD,
+    '.vcard': ImportFormat.VCARD
+};
+
+const NUMBER_COLUMN_PATTERN = /phone|number|mobile|msisdn|whatsapp|tel/i;
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Read a number list from disk. The format comes from `options.format` or
+ * the file extension (.csv/.tsv, .ndjson/.jsonl, .vcf/.vcard).
+ */
+async function importNumbers(filePath, options = {}) {
+    const format = options.format || FORMAT_EXTENSIONS[path.extname(filePath).toLowerCase()];
+
+    if (!format) {
+        throw new Error(`Cannot infer import format from ${filePath}; pass options.format`);
+    }
+
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    const delimiter = options.delimiter || (path.extname(filePath).toLowerCase() === '.tsv' ? '\t' : ',');
+
+    return parseNumberList(text, { ...options, format, delimiter });
+}
+
+/**
+ * Parse a number list held in memory.
+ *
+ * Returns `{ format, entries, numbers, errors, duplicates }`. Each entry is
+ * `{ number, input, line, region, metadata }` with `number` in E.164; rows
+ * that normalize to an already-seen number are listed in `duplicates` and
+ * unparseable rows in `errors`, both with their line numbers.
+ */
+function parseNumberList(text, options = {}) {
+    const readers = {
+        [ImportFormat.CSV]: readCSV,
+        [ImportFormat.NDJSON]: readNDJSON,
+        [ImportFormat.VCARD]: readVCard
+    };
+    const reader = readers[options.format];
+
+    if (!reader) {
+        throw new Error(`Unsupported import format: ${options.format}`);
+    }
+
+    const imported = {
+        format: options.format,
+        entries: [],
+        numbers: [],
+        errors: [],
+        duplicates: []
+    };
+    const seen = new Map();
+
+    for (const row of reader(text, options)) {
+        if (row.error) {
+            imported.errors.push({ line: row.line, input: row.input, reason: row.error });
+            continue;
+        }
+
+        const parsed = parsePhoneNumber(row.input, { defaultRegion: options.defaultRegion });
+
+        if (!parsed.isValid) {
+            imported.errors.push({ line: row.line, input: row.input, reason: parsed.error });
+            continue;
+        }
+
+        if (seen.has(parsed.e164)) {
+            imported.duplicates.push({ line: row.line, input: row.input, number: parsed.e164, firstLine: seen.get(parsed.e164) });
+            continue;
+        }
+
+        seen.set(parsed.e164, row.line);
+        imported.entries.push({
+            number: parsed.e164,
+            input: row.input,
+            line: row.line,
+            region: parsed.region,
+            metadata: row.metadata
+        });
+        imported.numbers.push(parsed.e164);
+    }
+
+    return imported;
+}
+
+/**
+ * Copy each entry's metadata onto the result for the same number. Results
+ * are shallow-copied so cached result objects are left untouched.
+ */
+function attachMetadata(results, imported) {
+    const byNumber = new Map(imported.entries.map(entry => [entry.number, entry.metadata]));
+
+    return results.map(result => {
+        const number = result.phone && result.phone.e164;
+        return byNumber.has(number) ? { ...result, metadata: byNumber.get(number) } : result;
+    });
+}
+
+// ============================================================================
+// FORMAT READERS
+// ============================================================================
+
+function* readCSV(text, options) {
+    const records = parseCSV(text, { delimiter: options.delimiter });
+    const hasHeader = options.header !== false;
+    const headers = hasHeader && records.length > 0 ?
+        records[0].fields.map(h => h.trim()) :
+        null;
+    const column = resolveColumn(options.column, headers);
+
+    for (const record of hasHeader ? records.slice(1) : records) {
+        const input = (record.fields[column] || '').trim();
+        const metadata = {};
+
+        record.fields.forEach((value, index) => {
+            if (index !== column) {
+                metadata[headers ? headers[index] || `column_${index}` : `column_${index}`] = value;
+            }
+        });
+
+        yield input ?
+            { line: record.line, input, metadata } :
+            { line: record.line, input, error: 'MISSING_NUMBER' };
+    }
+}
+
+function resolveColumn(column, headers) {
+    if (typeof column === 'number') return column;
+
+    if (typeof column === 'string') {
+        const index = headers ? headers.indexOf(column) : -1;
+        if (index === -1) {
+            throw new Error(`CSV column not found: ${column}`);
+        }
+        return index;
+    }
+
+    const guessed = headers ? headers.findIndex(h => NUMBER_COLUMN_PATTERN.test(h)) : -1;
+    return guessed === -1 ? 0 : guessed;
+}
+
+function* readNDJSON(text, options) {
+    const lines = text.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        const raw = lines[i].trim();
+        if (!raw) continue;
+
+        let record;
+        try {
+            record = JSON.parse(raw);
+        } catch (error) {
+            yield { line: i + 1, input: raw, error: 'INVALID_JSON' };
+            continue;
+        }
+
+        if (typeof record === 'string' || typeof record === 'number') {
+            yield { line: i + 1, input: String(record), metadata: {} };
+            continue;
+        }
+
+        // true, null or an array: valid JSON, but nothing to read a number from
+        if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+            yield { line: i + 1, input: raw, error: 'MISSING_NUMBER' };
+            continue;
+        }
+
+        const field = options.field || ['number', 'phone', 'phoneNumber', 'msisdn'].find(f => f in record);
+        const value = field ? record[field] : undefined;
+
+        if (value === undefined || value === null || value === '') {
+            yield { line: i + 1, input: raw, error: 'MISSING_NUMBER' };
+            continue;
+        }
+
+        const { [field]: _, ...metadata } = record;
+        yield { line: i + 1, input: String(value), metadata };
+    }
+}
+
+function* readVCard(text) {
+    // Unfold continuation lines (RFC 6350 3.2) while keeping original line numbers
+    const lines = [];
+    text.split(/\r?\n/).forEach((content, index) => {
+        if (/^[ \t]/.test(content) && lines.length > 0) {
+            lines[lines.length - 1].content += content.slice(1);
+        } else {
+            lines.push({ line: index + 1, content });
+        }
+    });
+
+    let card = null;
+
+    for (const { line, content } of lines) {
+        const separator = content.indexOf(':');
+        if (separator === -1) continue;
+
+        const [rawName, ...params] = content.slice(0, separator).split(';');
+        const name = rawName.replace(/^item\d+\./i, '').toUpperCase();
+        const value = content.slice(separator + 1).trim();
+
+        if (name === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+            card = { line, name: null, org: null, phones: [] };
+        } else if (!card) {
+            continue;
+        } else if (name === 'FN') {
+            card.name = unescapeVCard(value);
+        } else if (name === 'ORG') {
+            card.org = unescapeVCard(value.split(';')[0]);
+        } else if (name === 'TEL') {
+            const types = params
+                .filter(p => /^type=/i.test(p) || !p.includes('='))
+                .map(p => p.replace(/^type=/i, '').toLowerCase());
+            card.phones.push({ line, value: value.replace(/^tel:/i, ''), type: types.join(',') || null });
+        } else if (name === 'END' && value.toUpperCase() === 'VCARD') {
+            if (card.phones.length === 0) {
+                yield { line: card.line, input: card.name || '', error: 'MISSING_NUMBER' };
+            }
+
+            for (const phone of card.phones) {
+                yield {
+                    line: phone.line,
+                    input: phone.value,
+                    metadata: { name: card.name, org: card.org, telType: phone.type }
+                };
+            }
+            card = null;
+        }
+    }
+}
+
+function unescapeVCard(value) {
+    return value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, '\n');
+}
+
+module.exports = {
+    importNumbers,
+    parseNumberList,
+    attachMetadata,
+    ImportFormat
+};
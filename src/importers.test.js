@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importNumbers, parseNumberList, attachMetadata, ImportFormat } = require('./importers');
+
+describe('parseNumberList', () => {
+    test('CSV: guesses the number column and keeps the rest as metadata', () => {
+        const text = 'name,mobile,team\nAmira,+20 101 234 5678,ops\nOmar,01012345679,sales\n';
+        const imported = parseNumberList(text, { format: ImportFormat.CSV, defaultRegion: 'EG' });
+
+        expect(imported.numbers).toEqual(['+201012345678', '+201012345679']);
+        expect(imported.entries[0]).toMatchObject({ line: 2, region: 'EG', metadata: { name: 'Amira', team: 'ops' } });
+    });
+
+    test('reports errors and duplicates with their line numbers', () => {
+        const text = 'phone\n+201012345678\n12\n\n201012345678\n';
+        const imported = parseNumberList(text, { format: ImportFormat.CSV, column: 'phone' });
+
+        expect(imported.numbers).toEqual(['+201012345678']);
+        expect(imported.errors.map(e => e.line)).toEqual([3]);
+        expect(imported.duplicates).toEqual([{ line: 5, input: '201012345678', number: '+201012345678', firstLine: 2 }]);
+    });
+
+    test('NDJSON: accepts bare values and objects, flags bad lines', () => {
+        const text = '"+201012345678"\n{"phone":"+201012345679","tier":"gold"}\n{oops\n{"name":"no number"}\n';
+        const imported = parseNumberList(text, { format: ImportFormat.NDJSON });
+
+        expect(imported.numbers).toEqual(['+201012345678', '+201012345679']);
+        expect(imported.entries[1].metadata).toEqual({ tier: 'gold' });
+        expect(imported.errors.map(e => [e.line, e.reason])).toEqual([[3, 'INVALID_JSON'], [4, 'MISSING_NUMBER']]);
+    });
+
+    test('NDJSON: flags lines that are valid JSON but not a record, and keeps importing', () => {
+        const text = 'true\n"+201012345678"\nnull\n[1,2]\n{"number":"+201012345679"}\nfalse\n';
+        const imported = parseNumberList(text, { format: ImportFormat.NDJSON });
+
+        expect(imported.numbers).toEqual(['+201012345678', '+201012345679']);
+        expect(imported.errors).toEqual([
+            { line: 1, input: 'true', reason: 'MISSING_NUMBER' },
+            { line: 3, input: 'null', reason: 'MISSING_NUMBER' },
+            { line: 4, input: '[1,2]', reason: 'MISSING_NUMBER' },
+            { line: 6, input: 'false', reason: 'MISSING_NUMBER' }
+        ]);
+    });
+
+    test('vCard: unfolds lines and yields one entry per TEL', () => {
+        const text = [
+            'BEGIN:VCARD',
+            'FN:Amira\\, Ops',
+            'ORG:Acme;Support',
+            'TEL;TYPE=cell:+20 101 234',
+            '  5678',
+            'item1.TEL:tel:+201012345679',
+            'END:VCARD'
+        ].join('\r\n');
+        const imported = parseNumberList(text, { format: ImportFormat.VCARD });
+
+        expect(imported.numbers).toEqual(['+201012345678', '+201012345679']);
+        expect(imported.entries[0]).toMatchObject({ line: 4, metadata: { name: 'Amira, Ops', org: 'Acme', telType: 'cell' } });
+    });
+
+    test('rejects unknown formats', () => {
+        expect(() => parseNumberList('', { format: 'xml' })).toThrow(/Unsupported import format/);
+    });
+});
+
+describe('importNumbers', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-import-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('infers the format and delimiter from the extension', async () => {
+        const filePath = path.join(dir, 'numbers.tsv');
+        fs.writeFileSync(filePath, 'name\tphone\nAmira\t+201012345678\n');
+
+        const imported = await importNumbers(filePath);
+
+        expect(imported.format).toBe(ImportFormat.CSV);
+        expect(imported.numbers).toEqual(['+201012345678']);
+        await expect(importNumbers(path.join(dir, 'numbers.txt'))).rejects.toThrow(/Cannot infer import format/);
+    });
+});
+
+describe('attachMetadata', () => {
+    test('copies metadata onto matching results without touching the originals', () => {
+        const imported = parseNumberList('phone,team\n+201012345678,ops\n', { format: ImportFormat.CSV });
+        const result = { number: '201012345678', phone: { e164: '+201012345678' } };
+
+        const [withMetadata] = attachMetadata([result], imported);
+
+        expect(withMetadata.metadata).toEqual({ team: 'ops' });
+        expect(result.metadata).toBeUndefined();
+    });
+});
@@ -6,6 +6,31 @@
  */
 
 const EventEmitter = require('events');
+const { MockConnection } = require('./mock-connection');
+const { RecordingConnection, ReplayConnection, FixtureMissError } = require('./fixtures');
+const { parsePhoneNumber, toJID, NumberError } = require('./phone-number');
+const { isJID, parseJID, UnsupportedJIDError, JidType } = require('./jid');
+const { MemoryCacheStore, FileCacheStore } = require('./cache-stores');
+const { StatusHistory, MemoryHistoryStore, FileHistoryStore, DEFAULT_TRACKED_FIELDS } = require('./history');
+const { BatchJob, JobState } = require('./batch-job');
+const { importNumbers, parseNumberList, attachMetadata, ImportFormat } = require('./importers');
+const { parseCSV, formatCSV, getPath, setPath } = require('./csv');
+const { NDJSONFileSink, RotatingFileSink, CallbackSink } = require('./sinks');
+const { renderHTMLReport } = require('./html-report');
+const { ValidatorServer, HttpError, startServer } = require('./server');
+const { MetricsRegistry, ValidatorMetrics, METRICS_CONTENT_TYPE } = require('./metrics');
+const { ConsoleLogger, LoggerAdapter, LogLevel } = require('./logger');
+const { FleetMonitor, MonitorState } = require('./fleet-monitor');
+const { isFailedResult } = require('./results');
+const { PluginHook, DECISION_HOOKS } = require('./plugin-hooks');
+const {
+    WebhookNotifier,
+    WebhookDeliveryError,
+    WebhookEvent,
+    signPayload,
+    verifyWebhookSignature,
+    WEBHOOK_PAYLOAD_VERSION
+} = require('./webhook');
 
 // ============================================================================
 // CONSTANTS & ENUMS
@@ -39,6 +64,41 @@ const ProbeStatus = {
     SKIPPED: 'skipped'
 };
 
+const CacheOutcome = {
+    ERROR: 'error',
+    TIMEOUT: 'timeout'
+};
+
+// Cache TTL (ms) per verdict (BanType) and per failed outcome (CacheOutcome)
+const DEFAULT_CACHE_TTL_POLICY = {
+    [BanType.NONE]: 6 * 3600000,
+    [BanType.SPAM]: 3600000,
+    [BanType.VIOLATION]: 6 * 3600000,
+    [BanType.PERMANENT]: 24 * 3600000,
+    [CacheOutcome.TIMEOUT]: 60000,
+    [CacheOutcome.ERROR]: 5 * 60000
+};
+
+// Columns written by exportCSV() when none are given
+const DEFAULT_CSV_COLUMNS = [
+    { path: 'number', header: 'Number' },
+    { path: 'isRegistered', header: 'Registered' },
+    { path: 'ban.isBanned', header: 'Banned' },
+    { path: 'ban.type', header: 'Ban Type' },
+    { path: 'review.available', header: 'Review Available' },
+    { path: 'summary', header: 'Summary' }
+];
+
+// Types of result fields that start out null, used by importCSV()
+const NULLABLE_FIELD_TYPES = {
+    'ban.mlConfidence': 'number',
+    'diagnostics.responseTime': 'number',
+    'cache': 'object',
+    'cache.cachedAt': 'number',
+    'cache.expiresAt': 'number',
+    'metadata': 'object'
+};
+
 // ============================================================================
 // ERROR PATTERNS DATABASE
 // ============================================================================
@@ -239,17 +299,35 @@ class MLPatternDetector {
 // INTELLIGENT CACHE SYSTEM
 // ============================================================================
 
+/**
+ * LRU cache over a pluggable store. Stores iterate least recently used
+ * entries first and move a key to the end on touch(), so lookups and
+ * evictions are O(1). Bounded by entry count and, optionally, by an
+ * estimate of the memory held by cached results.
+ */
 class ValidationCache {
     constructor(options = {}) {
-        this.cache = new Map();
+        this.store = options.store || new MemoryCacheStore();
         this.ttl = options.ttl || 3600000; // 1 hour default
         this.maxSize = options.maxSize || 1000;
+        this.maxMemory = options.maxMemory || null; // bytes
+        this.memoryUsage = null; // computed on first write when maxMemory is set
         this.hits = 0;
         this.misses = 0;
+        this.evictions = 0;
+        this.expirations = 0;
+        this.sweepTimer = null;
+
+        if (options.sweepInterval) {
+            this.sweepTimer = setInterval(() => {
+                this.sweep().catch(() => { });
+            }, options.sweepInterval);
+            this.sweepTimer.unref();
+        }
     }
 
-    get(key) {
-        const entry = this.cache.get(key);
+    async get(key) {
+        const entry = await this.store.get(key);
 
         if (!entry) {
             this.misses++;
@@ -257,8 +335,9 @@ class ValidationCache {
         }
 
         // Check expiration
-        if (Date.now() - entry.timestamp > this.ttl) {
-            this.cache.delete(key);
+        if (Date.now() >= entry.expiresAt) {
+            await this._remove(key, entry);
+            this.expirations++;
             this.misses++;
             return null;
         }
@@ -266,53 +345,147 @@ class ValidationCache {
         this.hits++;
         entry.accessCount++;
         entry.lastAccess = Date.now();
+
+        if (this.store.touch) {
+            await this.store.touch(key);
+        }
+
         return entry.data;
     }
 
-    set(key, data) {
-        // Evict if at capacity
-        if (this.cache.size >= this.maxSize) {
-            this._evictLRU();
-        }
+    /**
+     * Unexpired data without touching hit/miss stats or LRU order
+     */
+    async peek(key) {
+        const entry = await this.store.get(key);
+        return entry && Date.now() < entry.expiresAt ? entry.data : null;
+    }
 
-        this.cache.set(key, {
+    async set(key, data, ttl = this.ttl) {
+        const now = Date.now();
+        const entry = {
             data,
-            timestamp: Date.now(),
-            lastAccess: Date.now(),
-            accessCount: 1
-        });
+            timestamp: now,
+            expiresAt: now + ttl,
+            lastAccess: now,
+            accessCount: 1,
+            size: this.maxMemory ? this._estimateSize(data) : 0
+        };
+
+        const existing = await this.store.get(key);
+        if (existing) {
+            await this._remove(key, existing);
+        }
+
+        if (this.maxMemory && this.memoryUsage === null) {
+            await this._recomputeMemory();
+        }
+
+        // Evict least recently used entries until the new one fits
+        while (this.store.size() > 0 && (
+            this.store.size() >= this.maxSize ||
+            (this.maxMemory && this.memoryUsage + entry.size > this.maxMemory)
+        )) {
+            await this._evictLRU();
+        }
+
+        await this.store.set(key, entry);
+
+        if (this.maxMemory) {
+            this.memoryUsage += entry.size;
+        }
     }
 
-    _evictLRU() {
-        let oldest = null;
-        let oldestTime = Infinity;
+    async delete(key) {
+        const entry = await this.store.get(key);
+        if (!entry) return false;
 
-        for (const [key, entry] of this.cache.entries()) {
-            if (entry.lastAccess < oldestTime) {
-                oldestTime = entry.lastAccess;
-                oldest = key;
-            }
+        await this._remove(key, entry);
+        return true;
+    }
+
+    /**
+     * Drop every expired entry
+     */
+    async sweep() {
+        const removed = await this.store.expire(Date.now());
+        this.expirations += removed;
+
+        if (removed > 0 && this.maxMemory) {
+            await this._recomputeMemory();
+        }
+
+        return removed;
+    }
+
+    async expire() {
+        return this.sweep();
+    }
+
+    async _evictLRU() {
+        for await (const [key, entry] of this.store.entries()) {
+            await this._remove(key, entry);
+            this.evictions++;
+            return;
+        }
+    }
+
+    async _remove(key, entry) {
+        await this.store.delete(key);
+
+        if (this.maxMemory && this.memoryUsage !== null) {
+            this.memoryUsage -= entry.size || 0;
         }
+    }
 
-        if (oldest) {
-            this.cache.delete(oldest);
+    async _recomputeMemory() {
+        let total = 0;
+
+        for await (const [, entry] of this.store.entries()) {
+            if (!entry.size) entry.size = this._estimateSize(entry.data);
+            total += entry.size;
         }
+
+        this.memoryUsage = total;
+    }
+
+    _estimateSize(data) {
+        // UTF-16 code units of the serialized result, a stable proxy for heap use
+        return JSON.stringify(data).length * 2;
     }
 
-    clear() {
-        this.cache.clear();
+    async clear() {
+        await this.store.clear();
+        this.memoryUsage = this.maxMemory ? 0 : null;
         this.hits = 0;
         this.misses = 0;
+        this.evictions = 0;
+        this.expirations = 0;
+    }
+
+    /**
+     * Stop the background sweep
+     */
+    close() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
     }
 
     stats() {
         const total = this.hits + this.misses;
         return {
-            size: this.cache.size,
+            size: this.store.size(),
             hits: this.hits,
             misses: this.misses,
             hitRate: total > 0 ? (this.hits / total) : 0,
-            maxSize: this.maxSize
+            maxSize: this.maxSize,
+            evictions: this.evictions,
+            expirations: this.expirations,
+            memoryUsage: this.memoryUsage,
+            maxMemory: this.maxMemory,
+            backend: this.store.name || this.store.constructor.name
         };
     }
 }
@@ -321,50 +494,452 @@ class ValidationCache {
 // RATE LIMITER
 // ============================================================================
 
+class CancelledError extends Error {
+    constructor(message = 'Operation cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+        this.code = 'CANCELLED';
+    }
+}
+
+function createAbortError(signal) {
+    const error = new CancelledError('Validation aborted');
+    error.reason = signal ? signal.reason : undefined;
+    return error;
+}
+
+function isAbort(error, signal) {
+    return error instanceof CancelledError || Boolean(signal && signal.aborted);
+}
+
+const RateLimitMode = {
+    SLIDING_WINDOW: 'sliding_window',
+    TOKEN_BUCKET: 'token_bucket'
+};
+
+/**
+ * FIFO rate limiter. Waiters are granted strictly in arrival order once the
+ * rate (sliding window or token bucket) and the concurrency limit allow it.
+ * Callers that acquire a slot must release() it when their work is done.
+ */
 class RateLimiter {
     constructor(options = {}) {
         this.maxRequests = options.maxRequests || 10;
         this.windowMs = options.windowMs || 60000; // 1 minute
+        this.maxConcurrent = options.maxConcurrent || Infinity;
+        this.mode = options.mode || RateLimitMode.SLIDING_WINDOW;
+        this.burst = options.burst || this.maxRequests;
+
         this.requests = [];
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.running = 0;
+        this.queue = [];
+        this.timer = null;
+        this.destroyed = false;
+
+        this.metrics = {
+            granted: 0,
+            cancelled: 0,
+            totalWait: 0,
+            maxWait: 0,
+            lastWait: 0
+        };
     }
 
-    async acquire() {
-        const now = Date.now();
+    /**
+     * Wait for a slot. The returned promise has a cancel() method that
+     * removes the caller from the queue and rejects with CancelledError;
+     * aborting `options.signal` does the same.
+     */
+    acquire(options = {}) {
+        const signal = options.signal;
+
+        if (this.destroyed || (signal && signal.aborted)) {
+            const rejected = Promise.reject(this.destroyed ?
+                new CancelledError('Rate limiter destroyed') :
+                createAbortError(signal));
+            rejected.cancel = () => false;
+            return rejected;
+        }
+
+        let waiter;
+        const promise = new Promise((resolve, reject) => {
+            waiter = { resolve, reject, enqueuedAt: Date.now(), signal, onAbort: null };
+        });
+
+        if (signal) {
+            waiter.onAbort = () => this._cancel(waiter, createAbortError(signal));
+            signal.addEventListener('abort', waiter.onAbort, { once: true });
+        }
+
+        this.queue.push(waiter);
+        promise.cancel = () => this._cancel(waiter);
+        this._drain();
+
+        return promise;
+    }
+
+    /**
+     * Return a concurrency slot taken by acquire()
+     */
+    release() {
+        if (this.running > 0) {
+            this.running--;
+        }
+        this._drain();
+    }
+
+    _cancel(waiter, error = new CancelledError('Rate limiter wait cancelled')) {
+        const index = this.queue.indexOf(waiter);
+        if (index === -1) return false;
+
+        this.queue.splice(index, 1);
+        this._detach(waiter);
+        this.metrics.cancelled++;
+        waiter.reject(error);
+        this._drain();
+        return true;
+    }
+
+    _detach(waiter) {
+        if (waiter.signal) {
+            waiter.signal.removeEventListener('abort', waiter.onAbort);
+        }
+    }
+
+    _drain() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
 
-        // Remove old requests
-        this.requests = this.requests.filter(time => now - time < this.windowMs);
+        while (this.queue.length > 0) {
+            // release() drains again once a running slot frees up
+            if (this.running >= this.maxConcurrent) return;
 
-        if (this.requests.length >= this.maxRequests) {
-            const oldestRequest = this.requests[0];
-            const waitTime = this.windowMs - (now - oldestRequest);
+            const now = Date.now();
+            const waitTime = this._timeUntilSlot(now);
 
             if (waitTime > 0) {
-                await this._delay(waitTime);
-                return this.acquire(); // Retry
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this._drain();
+                }, waitTime);
+                return;
             }
+
+            const waiter = this.queue.shift();
+            this._detach(waiter);
+            this._consume(now);
+            this.running++;
+
+            const waited = now - waiter.enqueuedAt;
+            this.metrics.granted++;
+            this.metrics.totalWait += waited;
+            this.metrics.maxWait = Math.max(this.metrics.maxWait, waited);
+            this.metrics.lastWait = waited;
+
+            waiter.resolve(true);
+        }
+    }
+
+    _timeUntilSlot(now) {
+        this._prune(now);
+
+        if (this.mode === RateLimitMode.TOKEN_BUCKET) {
+            this._refill(now);
+            if (this.tokens >= 1) return 0;
+            return Math.ceil((1 - this.tokens) * this.windowMs / this.maxRequests);
         }
 
+        if (this.requests.length < this.maxRequests) return 0;
+        return Math.max(1, this.windowMs - (now - this.requests[0]));
+    }
+
+    _consume(now) {
+        if (this.mode === RateLimitMode.TOKEN_BUCKET) {
+            this.tokens -= 1;
+        }
         this.requests.push(now);
-        return true;
     }
 
-    _delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    _prune(now) {
+        while (this.requests.length > 0 && now - this.requests[0] >= this.windowMs) {
+            this.requests.shift();
+        }
+    }
+
+    _refill(now) {
+        const elapsed = now - this.lastRefill;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.maxRequests / this.windowMs);
+        this.lastRefill = now;
     }
 
     reset() {
         this.requests = [];
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this._drain();
+    }
+
+    /**
+     * Stop the drain timer and reject every queued acquire() with
+     * CancelledError; later acquire() calls reject too
+     */
+    destroy() {
+        this.destroyed = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        for (const waiter of this.queue.splice(0)) {
+            this._detach(waiter);
+            this.metrics.cancelled++;
+            waiter.reject(new CancelledError('Rate limiter destroyed'));
+        }
     }
 
     getStatus() {
         const now = Date.now();
-        const activeRequests = this.requests.filter(time => now - time < this.windowMs);
+        this._prune(now);
+
+        let remaining = Math.max(0, this.maxRequests - this.requests.length);
+        if (this.mode === RateLimitMode.TOKEN_BUCKET) {
+            this._refill(now);
+            remaining = Math.floor(this.tokens);
+        }
 
         return {
-            activeRequests: activeRequests.length,
+            mode: this.mode,
+            activeRequests: this.requests.length,
             maxRequests: this.maxRequests,
-            remaining: Math.max(0, this.maxRequests - activeRequests.length),
-            resetAt: activeRequests.length > 0 ? activeRequests[0] + this.windowMs : null
+            remaining,
+            resetAt: this.requests.length > 0 ? this.requests[0] + this.windowMs : null,
+            running: this.running,
+            maxConcurrent: this.maxConcurrent,
+            queueDepth: this.queue.length,
+            granted: this.metrics.granted,
+            cancelled: this.metrics.cancelled,
+            waitTime: {
+                avg: this.metrics.granted > 0 ? this.metrics.totalWait / this.metrics.granted : 0,
+                max: this.metrics.maxWait,
+                last: this.metrics.lastWait,
+                oldestQueued: this.queue.length > 0 ? now - this.queue[0].enqueuedAt : 0
+            }
+        };
+    }
+}
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+const CircuitState = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+/**
+ * Shared breaker for every connection call. Opens once `failureThreshold`
+ * throttling codes (429/TIMEOUT by default) arrive within `windowMs`, holds
+ * all callers for `cooldownMs`, then lets `halfOpenMaxCalls` trial calls
+ * through. `successThreshold` clean trials close it; a throttled trial
+ * re-opens it.
+ */
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 5;
+        this.windowMs = options.windowMs || 30000;
+        this.cooldownMs = options.cooldownMs || 30000;
+        this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+        this.successThreshold = options.successThreshold || 1;
+        this.tripCodes = options.tripCodes || ['429', 'TIMEOUT'];
+        this.onStateChange = options.onStateChange || null;
+
+        this.state = CircuitState.CLOSED;
+        this.failures = [];
+        this.openedAt = null;
+        this.trialsInFlight = 0;
+        this.trialSuccesses = 0;
+        this.waiters = [];
+        this.timer = null;
+        this.opens = 0;
+        this.destroyed = false;
+    }
+
+    /**
+     * Resolve once a call may go out; rejects with CancelledError if
+     * `signal` aborts first
+     */
+    wait(signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(createAbortError(signal));
+        }
+
+        if (this.destroyed) {
+            return Promise.reject(new CancelledError('Circuit breaker destroyed'));
+        }
+
+        if (this._tryEnter()) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, signal, onAbort: null };
+
+            if (signal) {
+                waiter.onAbort = () => {
+                    this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                    reject(createAbortError(signal));
+                };
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Give back a call granted by wait() that was abandoned without an outcome
+     */
+    abandon() {
+        if (this.state === CircuitState.HALF_OPEN) {
+            this.trialsInFlight = Math.max(0, this.trialsInFlight - 1);
+            this._wake();
+        }
+    }
+
+    /**
+     * Report the outcome of a call granted by wait(); code is null on success
+     */
+    record(code) {
+        const tripped = code !== null && this.tripCodes.includes(code);
+
+        if (this.state === CircuitState.HALF_OPEN) {
+            this.trialsInFlight = Math.max(0, this.trialsInFlight - 1);
+
+            if (tripped) {
+                this._open(code);
+                return;
+            }
+
+            if (++this.trialSuccesses >= this.successThreshold) {
+                this._close();
+                return;
+            }
+
+            this._wake();
+            return;
+        }
+
+        // Late outcomes of calls granted before opening carry no new signal
+        if (this.state !== CircuitState.CLOSED || !tripped) return;
+
+        const now = Date.now();
+        this.failures.push(now);
+        while (this.failures.length > 0 && now - this.failures[0] >= this.windowMs) {
+            this.failures.shift();
+        }
+
+        if (this.failures.length >= this.failureThreshold) {
+            this._open(code);
+        }
+    }
+
+    _tryEnter() {
+        if (this.state === CircuitState.CLOSED) return true;
+
+        if (this.state === CircuitState.HALF_OPEN && this.trialsInFlight < this.halfOpenMaxCalls) {
+            this.trialsInFlight++;
+            return true;
+        }
+
+        return false;
+    }
+
+    _open(code) {
+        this.state = CircuitState.OPEN;
+        this.openedAt = Date.now();
+        this.failures = [];
+        this.trialsInFlight = 0;
+        this.trialSuccesses = 0;
+        this.opens++;
+
+        clearTimeout(this.timer);
+        if (!this.destroyed) {
+            this.timer = setTimeout(() => this._halfOpen(), this.cooldownMs);
+        }
+
+        this._notify({ code });
+    }
+
+    _halfOpen() {
+        this.timer = null;
+        this.state = CircuitState.HALF_OPEN;
+        this._notify({});
+        this._wake();
+    }
+
+    _close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.state = CircuitState.CLOSED;
+        this.openedAt = null;
+        this.trialsInFlight = 0;
+        this.trialSuccesses = 0;
+        this._notify({});
+        this._wake();
+    }
+
+    _wake() {
+        while (this.waiters.length > 0 && this._tryEnter()) {
+            const waiter = this.waiters.shift();
+
+            if (waiter.signal) {
+                waiter.signal.removeEventListener('abort', waiter.onAbort);
+            }
+            waiter.resolve();
+        }
+    }
+
+    _notify(details) {
+        if (this.onStateChange) {
+            this.onStateChange(this.state, { ...details, ...this.getStatus() });
+        }
+    }
+
+    reset() {
+        this._close();
+        this.failures = [];
+    }
+
+    /**
+     * Stop the cooldown timer and reject every waiting caller with
+     * CancelledError; later wait() calls reject too
+     */
+    destroy() {
+        this.destroyed = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        for (const waiter of this.waiters.splice(0)) {
+            if (waiter.signal) {
+                waiter.signal.removeEventListener('abort', waiter.onAbort);
+            }
+            waiter.reject(new CancelledError('Circuit breaker destroyed'));
+        }
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            recentFailures: this.failures.length,
+            failureThreshold: this.failureThreshold,
+            openedAt: this.openedAt,
+            reopensAt: this.state === CircuitState.OPEN ? this.openedAt + this.cooldownMs : null,
+            waiting: this.waiters.length,
+            opens: this.opens
         };
     }
 }
@@ -493,6 +1068,21 @@ class AnalyticsEngine {
     }
 }
 
+// ============================================================================
+// PLUGIN ERRORS
+// ============================================================================
+
+class PluginTimeoutError extends Error {
+    constructor(plugin, hook, timeout) {
+        super(`Plugin ${plugin} did not finish ${hook} within ${timeout}ms`);
+        this.name = 'PluginTimeoutError';
+        this.code = 'PLUGIN_TIMEOUT';
+        this.plugin = plugin;
+        this.hook = hook;
+        this.timeout = timeout;
+    }
+}
+
 // ============================================================================
 // MAIN VALIDATOR CLASS
 // ============================================================================
@@ -511,29 +1101,67 @@ class WhatsAppValidator extends EventEmitter {
             maxRetries: options.maxRetries || 2,
             enableCache: options.enableCache !== false,
             cacheTTL: options.cacheTTL || 3600000,
+            cacheStore: options.cacheStore || null,
+            cacheMaxSize: options.cacheMaxSize || 1000,
+            cacheMaxMemory: options.cacheMaxMemory || null,
+            cacheSweepInterval: options.cacheSweepInterval !== undefined ? options.cacheSweepInterval : 300000,
             enableRateLimiting: options.enableRateLimiting !== false,
             rateLimit: options.rateLimit || { maxRequests: 10, windowMs: 60000 },
+            enableCircuitBreaker: options.enableCircuitBreaker !== false,
+            circuitBreaker: options.circuitBreaker || {},
             enableAnalytics: options.enableAnalytics !== false,
             enableMLDetection: options.enableMLDetection !== false,
+            enableHistory: options.enableHistory !== false,
+            historyStore: options.historyStore || null,
+            historyMaxEntries: options.historyMaxEntries || 100,
+            historyFields: options.historyFields || DEFAULT_TRACKED_FIELDS,
+            logger: options.logger || null,
             logErrors: options.logErrors || false,
+            defaultRegion: options.defaultRegion || null,
             plugins: options.plugins || [],
+            pluginTimeout: options.pluginTimeout !== undefined ? options.pluginTimeout : 5000,
+            sinks: options.sinks || [],
             ...options
         };
 
+        this.config.cacheTTLPolicy = this._buildTTLPolicy(options);
+
+        // logErrors predates the logger option; it still turns on console warnings
+        this.logger = new LoggerAdapter(this.config.logger ||
+            (this.config.logErrors ? new ConsoleLogger({ level: LogLevel.WARN }) : null));
+
         // Initialize subsystems
         this.cache = this.config.enableCache ? new ValidationCache({
             ttl: this.config.cacheTTL,
-            maxSize: 1000
+            maxSize: this.config.cacheMaxSize,
+            maxMemory: this.config.cacheMaxMemory,
+            sweepInterval: this.config.cacheSweepInterval,
+            store: this.config.cacheStore
         }) : null;
 
         this.rateLimiter = this.config.enableRateLimiting ? new RateLimiter(this.config.rateLimit) : null;
 
+        this.circuitBreaker = this.config.enableCircuitBreaker ? new CircuitBreaker({
+            ...this.config.circuitBreaker,
+            onStateChange: (state, details) => this._onCircuitStateChange(state, details)
+        }) : null;
+
         this.analytics = this.config.enableAnalytics ? new AnalyticsEngine() : null;
 
+        this.statusHistory = this.config.enableHistory ? new StatusHistory({
+            store: this.config.historyStore,
+            maxEntries: this.config.historyMaxEntries,
+            fields: this.config.historyFields
+        }) : null;
+
         this.mlDetector = this.config.enableMLDetection ? new MLPatternDetector() : null;
 
+        // Pending validations by JID, shared by concurrent callers
+        this.inFlight = new Map();
+
         // Plugin system
         this.plugins = new Map();
+        this.pluginOrder = [];
         this._loadPlugins();
 
         // Health monitoring
@@ -549,79 +1177,271 @@ class WhatsAppValidator extends EventEmitter {
      * Main validation method
      */
     async validate(phoneNumber, options = {}) {
-        const startTime = Date.now();
+        try {
+            return await this._validateOne(phoneNumber, options);
+        } finally {
+            // Per-call sinks belong to this call alone
+            await this._callSinks('close', options.sinks || []);
+        }
+    }
 
-        // Rate limiting
-        if (this.rateLimiter) {
-            await this.rateLimiter.acquire();
+    /**
+     * validate() for batches and streams, which close their sinks at the end
+     */
+    async _validateOne(phoneNumber, options) {
+        const { result, fromFlight } = await this._resolveResult(phoneNumber, options);
+
+        // A pipeline run has already written to the configured sinks, once for all its callers
+        const sinks = fromFlight ? options.sinks || [] : [...this.config.sinks, ...(options.sinks || [])];
+        await this._writeToSinks(result, sinks);
+
+        return result;
+    }
+
+    async _resolveResult(phoneNumber, options) {
+        // Reject malformed numbers before spending any network round-trip
+        const { jid, phone, addressing } = this.resolveTarget(phoneNumber, options);
+        if (phone && !phone.isValid) {
+            return { result: this._createInvalidResult(phoneNumber, phone), fromFlight: false };
+        }
+
+        // Plugins may rewrite the options, skip the number or answer for it
+        const context = { phoneNumber, jid, options: { ...options } };
+        const decision = await this._runPluginHooks(PluginHook.PRE_VALIDATION, context);
+        if (decision) {
+            return { result: this._createPluginResult(decision, { phoneNumber, jid, phone, addressing }), fromFlight: false };
         }
+        options = context.options;
 
-        // Check cache
-        const cacheKey = `validate:${phoneNumber}`;
+        // Check cache - hits never consume rate-limit budget
+        const cacheKey = `validate:${jid}`;
         if (this.cache && !options.skipCache) {
-            const cached = this.cache.get(cacheKey);
+            const cached = await this.cache.get(cacheKey);
             if (cached) {
                 this.emit('cache_hit', { phoneNumber });
-                return cached;
+                this.logger.debug({ number: phoneNumber, jid, stage: 'cache' }, 'Cache hit');
+                await this._runPluginHooks(PluginHook.ON_CACHE_HIT, { phoneNumber, jid, result: cached });
+                return { result: cached, fromFlight: false };
             }
         }
 
-        this.emit('validation_start', { phoneNumber });
-
-        const jid = this._normalizeJID(phoneNumber);
-        const result = this._createResultObject(phoneNumber, jid);
+        // Single-flight: concurrent requests for one JID share one pipeline run,
+        // unless every caller of that run has already left it
+        let flight = this.inFlight.get(jid);
+        if (flight && !flight.controller.signal.aborted) {
+            this.emit('validation_coalesced', { phoneNumber, jid });
+            this.logger.debug({ number: phoneNumber, jid }, 'Joined in-flight validation');
+        } else {
+            flight = this._startFlight({ phoneNumber, jid, phone, addressing, cacheKey }, options);
+        }
 
-        try {
-            // Execute validation pipeline
-            await this._executePipeline(jid, result, options);
+        return { result: await this._joinFlight(flight, { phoneNumber, jid, phone }, options.signal), fromFlight: true };
+    }
 
-            // Store in cache
-            if (this.cache) {
-                this.cache.set(cacheKey, result);
-            }
+    /**
+     * Start a shared pipeline run. It is aborted only once every caller
+     * that joined it with a signal has aborted. The finished result goes to
+     * the configured sinks here, so coalesced callers do not repeat it.
+     */
+    _startFlight(target, options) {
+        const controller = new AbortController();
+        const flight = { controller, callers: 0, promise: null };
+
+        flight.promise = this._runValidation(target, { ...options, signal: controller.signal })
+            .then(async result => {
+                await this._writeToSinks(result, this.config.sinks);
+                return result;
+            })
+            .finally(() => {
+                if (this.inFlight.get(target.jid) === flight) this.inFlight.delete(target.jid);
+            });
 
-            // Record analytics
-            if (this.analytics) {
-                this.analytics.record(result);
-            }
+        this.inFlight.set(target.jid, flight);
+        return flight;
+    }
 
-            // Update health
-            this._updateHealth(true);
+    async _joinFlight(flight, target, signal) {
+        flight.callers++;
 
-            this.emit('validation_complete', { phoneNumber, result });
+        if (!signal) {
+            return flight.promise;
+        }
 
-            return result;
+        if (signal.aborted) {
+            return this._leaveFlight(flight, target);
+        }
 
-        } catch (error) {
-            this._updateHealth(false);
-            this.emit('validation_error', { phoneNumber, error });
+        let onAbort;
+        const aborted = new Promise(resolve => {
+            onAbort = () => resolve(null);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
 
-            result.summary = 'Critical validation error';
+        try {
+            const result = await Promise.race([flight.promise, aborted]);
+            return result || await this._leaveFlight(flight, target);
+        } finally {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Drop an aborted caller. The last one out stops the pipeline and gets
+     * its partial result; earlier ones get an empty aborted result.
+     */
+    async _leaveFlight(flight, target) {
+        if (--flight.callers > 0) {
+            return this._createAbortedResult(target);
+        }
+
+        flight.controller.abort();
+        return flight.promise;
+    }
+
+    async _runValidation(target, options) {
+        // Rate limiting
+        if (!this.rateLimiter) {
+            return this._validateTarget(target, options);
+        }
+
+        try {
+            await this.rateLimiter.acquire({ signal: options.signal });
+        } catch (error) {
+            if (isAbort(error, options.signal)) return this._createAbortedResult(target);
+            throw error;
+        }
+
+        try {
+            return await this._validateTarget(target, options);
+        } finally {
+            this.rateLimiter.release();
+        }
+    }
+
+    async _validateTarget(target, options) {
+        const { phoneNumber, jid, phone, addressing, cacheKey } = target;
+
+        const startedAt = Date.now();
+        this.emit('validation_start', { phoneNumber });
+        this.logger.debug({ number: phoneNumber, jid }, 'Validation started');
+
+        const result = this._createResultObject(phoneNumber, jid, phone);
+        result.addressing = addressing;
+
+        try {
+            // Execute validation pipeline
+            await this._executePipeline(jid, result, options);
+
+            await this._cacheResult(cacheKey, result);
+
+            // Record analytics
+            if (this.analytics) {
+                this.analytics.record(result);
+            }
+
+            await this._recordHistory(phoneNumber, result);
+
+            // Update health
+            this._updateHealth(true);
+
+            this.emit('validation_complete', { phoneNumber, result });
+            this.logger.info({
+                number: phoneNumber,
+                jid,
+                banType: result.ban.type,
+                probes: `${result.diagnostics.probsSuccessful}/${result.diagnostics.probsExecuted}`,
+                duration: Date.now() - startedAt
+            }, 'Validation complete');
+
+            return result;
+
+        } catch (error) {
+            // Partial result - neither cached nor counted against health
+            if (isAbort(error, options.signal)) {
+                return this._markAborted(result);
+            }
+
+            this._updateHealth(false);
+            this.emit('validation_error', { phoneNumber, error });
+            this.logger.error({
+                number: phoneNumber,
+                jid,
+                stage: 'critical',
+                code: 'FATAL',
+                duration: Date.now() - startedAt,
+                err: error
+            }, 'Validation failed');
+            await this._runPluginHooks(PluginHook.ON_ERROR, { stage: 'critical', error, phoneNumber, jid, result });
+
+            result.summary = 'Critical validation error';
             result.diagnostics.errorDetails.push({
                 stage: 'critical',
                 error: error.message,
                 code: 'FATAL'
             });
 
+            // Negative caching keeps a failing number from being re-probed on every call
+            await this._cacheResult(cacheKey, result);
+
             return result;
         }
     }
 
     /**
-     * Batch validation
+     * Batch validation. Fixed chunks with a delay between them by default;
+     * a sliding-window pool when `concurrency` is set. One result per input
+     * number, in input order - a failing number never rejects the batch.
      */
     async validateBatch(phoneNumbers, options = {}) {
+        const signal = options.signal;
+
+        const startedAt = Date.now();
+        this.emit('batch_start', { total: phoneNumbers.length });
+        this.logger.info({ total: phoneNumbers.length, concurrency: options.concurrency }, 'Batch started');
+        await this._runPluginHooks(PluginHook.BATCH_START, { total: phoneNumbers.length, numbers: phoneNumbers, options });
+
+        const results = options.concurrency ?
+            await this._validatePooled(phoneNumbers, options) :
+            await this._validateChunked(phoneNumbers, options);
+
+        if (signal && signal.aborted) {
+            const completed = results.filter(r => !r.aborted).length;
+
+            // Numbers never started still get a result, so indexes match the input
+            for (const number of phoneNumbers.slice(results.length)) {
+                results.push(this._createAbortedResult({ phoneNumber: number }));
+            }
+
+            this.emit('batch_aborted', { completed, total: phoneNumbers.length, results });
+            this.logger.warn({ completed, total: phoneNumbers.length, duration: Date.now() - startedAt }, 'Batch aborted');
+            await this._runPluginHooks(PluginHook.BATCH_COMPLETE, { results, aborted: true, duration: Date.now() - startedAt });
+            return results;
+        }
+
+        this.emit('batch_complete', { results });
+        this.logger.info({
+            total: results.length,
+            banned: results.filter(r => r.ban.isBanned).length,
+            duration: Date.now() - startedAt
+        }, 'Batch complete');
+        await this._runPluginHooks(PluginHook.BATCH_COMPLETE, { results, aborted: false, duration: Date.now() - startedAt });
+
+        return results;
+    }
+
+    async _validateChunked(phoneNumbers, options) {
         const batchSize = options.batchSize || 5;
         const delayBetweenBatches = options.delayBetweenBatches || 2000;
+        const signal = options.signal;
         const results = [];
 
-        this.emit('batch_start', { total: phoneNumbers.length });
-
         for (let i = 0; i < phoneNumbers.length; i += batchSize) {
+            if (signal && signal.aborted) break;
+
             const batch = phoneNumbers.slice(i, i + batchSize);
 
             const batchResults = await Promise.all(
-                batch.map(num => this.validate(num, options))
+                batch.map(num => this._validateIsolated(num, options))
             );
 
             results.push(...batchResults);
@@ -633,32 +1453,240 @@ class WhatsAppValidator extends EventEmitter {
 
             // Delay between batches
             if (i + batchSize < phoneNumbers.length) {
-                await this._delay(delayBetweenBatches);
+                try {
+                    await this._delay(delayBetweenBatches, signal);
+                } catch (error) {
+                    if (!isAbort(error, signal)) throw error;
+                }
             }
         }
 
-        this.emit('batch_complete', { results });
+        // The pooled path finishes sinks in validateStream
+        await this._finishSinks(options);
+        return results;
+    }
+
+    async _validatePooled(phoneNumbers, options) {
+        const results = [];
+
+        for await (const result of this.validateStream(phoneNumbers, { ...options, ordered: true })) {
+            results.push(result);
+        }
 
         return results;
     }
 
+    /**
+     * Resumable, checkpointed batch - see BatchJob
+     */
+    createBatchJob(phoneNumbers, options = {}) {
+        return new BatchJob(this, phoneNumbers, options);
+    }
+
+    /**
+     * Validate numbers through a sliding-window pool of `concurrency`
+     * validations, yielding each result as it finishes (or in input order
+     * with `ordered: true`). Accepts any sync or async iterable. Breaking
+     * out of the loop aborts the validations still running.
+     */
+    async *validateStream(phoneNumbers, options = {}) {
+        const concurrency = options.concurrency || 5;
+        const ordered = options.ordered || false;
+        const total = Array.isArray(phoneNumbers) ? phoneNumbers.length : null;
+        const iterator = phoneNumbers[Symbol.asyncIterator] ?
+            phoneNumbers[Symbol.asyncIterator]() :
+            phoneNumbers[Symbol.iterator]();
+
+        // Linked to the caller's signal, and aborted if the consumer stops early
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        const validateOptions = { ...options, signal: controller.signal };
+        const pending = new Map();
+        const finished = new Map();
+        let started = 0;
+        let completed = 0;
+        let nextToYield = 0;
+        let exhausted = false;
+
+        const fill = async () => {
+            while (!exhausted && !controller.signal.aborted && pending.size < concurrency) {
+                const next = await iterator.next();
+                if (next.done) {
+                    exhausted = true;
+                    return;
+                }
+
+                const index = started++;
+                pending.set(index, this._validateIsolated(next.value, validateOptions)
+                    .then(result => ({ index, result })));
+            }
+        };
+
+        try {
+            await fill();
+
+            while (pending.size > 0) {
+                const { index, result } = await Promise.race(pending.values());
+                pending.delete(index);
+                completed++;
+
+                this.emit('batch_progress', { completed, total });
+
+                await fill();
+
+                if (!ordered) {
+                    yield result;
+                    continue;
+                }
+
+                finished.set(index, result);
+                while (finished.has(nextToYield)) {
+                    const next = finished.get(nextToYield);
+                    finished.delete(nextToYield++);
+                    yield next;
+                }
+            }
+        } finally {
+            if (pending.size > 0) controller.abort();
+            if (options.signal) options.signal.removeEventListener('abort', onAbort);
+            await this._finishSinks(options);
+        }
+    }
+
+    /**
+     * validate() that resolves with a failed result instead of rejecting
+     */
+    async _validateIsolated(phoneNumber, options) {
+        try {
+            return await this._validateOne(phoneNumber, options);
+        } catch (error) {
+            const result = this._createFailedResult(phoneNumber, error);
+            await this._writeToSinks(result, [...this.config.sinks, ...(options.sinks || [])]);
+            return result;
+        }
+    }
+
+    // ========== STATUS HISTORY ==========
+
+    /**
+     * Add a fresh verdict to the JID's timeline and emit `status_changed`
+     * when a tracked field moved. A failing store never fails the validation.
+     */
+    async _recordHistory(phoneNumber, result) {
+        if (!this.statusHistory) return;
+
+        // A registration check that errored or timed out is no verdict to compare against
+        if (Object.values(CacheOutcome).includes(this._classifyOutcome(result))) return;
+
+        let transition;
+        try {
+            transition = await this.statusHistory.record(result);
+        } catch (error) {
+            this.emit('history_error', { phoneNumber, error });
+            this.logger.error({ number: phoneNumber, jid: result.jid, stage: 'history', err: error }, 'History write failed');
+            return;
+        }
+
+        if (!transition) return;
+
+        const { previous, current, changes } = transition;
+        this.emit('status_changed', { phoneNumber, jid: result.jid, previous, current, changes, result });
+        this.logger[current.ban.isBanned ? 'warn' : 'info']({
+            number: phoneNumber,
+            jid: result.jid,
+            stage: 'history',
+            from: previous.ban.type,
+            to: current.ban.type,
+            changes
+        }, `Status changed: ${previous.ban.type} -> ${current.ban.type}`);
+    }
+
+    // ========== RESULT SINKS ==========
+
+    /**
+     * Write a finished result to `sinks`. Aborted results are partial and
+     * are not written. A failing sink emits `sink_error` and never fails
+     * the validation.
+     */
+    async _writeToSinks(result, sinks) {
+        if (result.aborted) return;
+
+        await Promise.all(sinks.map(async sink => {
+            try {
+                await sink.write(result);
+            } catch (error) {
+                this.emit('sink_error', { sink: sink.name, phoneNumber: result.number, error });
+                this.logger.error({ sink: sink.name, number: result.number, stage: 'sink', err: error }, 'Sink write failed');
+            }
+        }));
+    }
+
+    /**
+     * End of a batch: flush the configured sinks, close the per-call ones
+     */
+    async _finishSinks(options = {}) {
+        await Promise.all([
+            this._callSinks('flush', this.config.sinks),
+            this._callSinks('close', options.sinks || [])
+        ]);
+    }
+
+    async _callSinks(method, sinks) {
+        await Promise.all(sinks.map(async sink => {
+            try {
+                await sink[method]();
+            } catch (error) {
+                this.emit('sink_error', { sink: sink.name, error });
+                this.logger.error({ sink: sink.name, stage: 'sink', err: error }, `Sink ${method} failed`);
+            }
+        }));
+    }
+
+    /**
+     * Shut down: flush and close the configured sinks, destroy plugins and
+     * stop background timers. Call it before the process exits.
+     */
+    async close() {
+        if (this.cache) this.cache.close();
+        if (this.rateLimiter) this.rateLimiter.destroy();
+        if (this.circuitBreaker) this.circuitBreaker.destroy();
+
+        const plugins = this.pluginOrder;
+        this.plugins.clear();
+        this.pluginOrder = [];
+        await Promise.all(plugins.map(plugin => this._destroyPlugin(plugin)));
+        await this._callSinks('close', this.config.sinks);
+    }
+
     /**
      * Execute validation pipeline
      */
     async _executePipeline(jid, result, options) {
+        const signal = options.signal;
+
         // Stage 1: Registration
-        await this._checkRegistration(jid, result);
+        await this._checkRegistration(jid, result, signal);
 
         if (!result.isRegistered) {
             result.ban.isBanned = true;
             result.ban.type = BanType.PERMANENT;
             result.summary = 'Not registered or permanently banned';
             this._finalizeResult(result, Date.now());
+
+            // post_validation runs for probed accounts only; a failed lookup is no verdict
+            if (!isFailedResult(result)) {
+                this.emit('not_registered', { phoneNumber: result.number, jid, result });
+            }
             return;
         }
 
         // Stage 2: Advanced probes
-        await this._executeProbes(jid, result);
+        await this._executeProbes(jid, result, signal);
 
         // Stage 3: Pattern analysis (ML-powered if enabled)
         if (this.mlDetector) {
@@ -683,19 +1711,32 @@ class WhatsAppValidator extends EventEmitter {
         this._analyzeReviewOptions(result);
 
         // Stage 5: Plugin hooks
-        await this._runPluginHooks('post_validation', result);
+        await this._runPluginHooks(PluginHook.POST_VALIDATION, result);
 
         // Stage 6: Finalize
         this._finalizeResult(result, Date.now());
     }
 
-    _createResultObject(phoneNumber, jid) {
+    _createResultObject(phoneNumber, jid, phone = null) {
         return {
             number: phoneNumber,
             jid,
             timestamp: Date.now(),
             isRegistered: false,
             isActive: false,
+            aborted: false,
+            skipped: false,
+            addressing: 'pn',
+
+            phone: {
+                isValid: phone ? phone.isValid : true,
+                e164: phone ? phone.e164 : null,
+                callingCode: phone ? phone.callingCode : null,
+                nationalNumber: phone ? phone.nationalNumber : null,
+                region: phone ? phone.region : null,
+                country: phone ? phone.country : null,
+                error: phone ? phone.error : null
+            },
 
             ban: {
                 isBanned: false,
@@ -729,18 +1770,130 @@ class WhatsAppValidator extends EventEmitter {
             },
 
             recommendations: [],
-            summary: ''
+            summary: '',
+            cache: null
         };
     }
 
+    /**
+     * TTL per outcome: explicit cacheTTLPolicy entries win, then a legacy
+     * cacheTTL applies to every verdict, then the defaults
+     */
+    _buildTTLPolicy(options) {
+        const verdictTTL = {};
+
+        if (options.cacheTTL) {
+            for (const banType of Object.values(BanType)) {
+                verdictTTL[banType] = options.cacheTTL;
+            }
+        }
+
+        return { ...DEFAULT_CACHE_TTL_POLICY, ...verdictTTL, ...options.cacheTTLPolicy };
+    }
+
+    /**
+     * Outcome class used to pick a cache TTL
+     */
+    _classifyOutcome(result) {
+        const errors = result.diagnostics.errorDetails;
+
+        if (errors.some(e => e.code === 'FATAL')) {
+            return CacheOutcome.ERROR;
+        }
+
+        // Registration never answered, so "not registered" is not a real verdict
+        const registrationError = errors.find(e => e.stage === 'registration');
+        if (registrationError) {
+            return registrationError.code === 'TIMEOUT' ? CacheOutcome.TIMEOUT : CacheOutcome.ERROR;
+        }
+
+        // Every probe timed out - a slow link, not evidence of a restriction
+        const probes = result.diagnostics.probeResults.filter(p => p.status !== ProbeStatus.SKIPPED);
+        if (probes.length > 0 && probes.every(p => p.status === ProbeStatus.TIMEOUT) &&
+            errors.every(e => e.code === 'TIMEOUT')) {
+            return CacheOutcome.TIMEOUT;
+        }
+
+        return result.ban.type;
+    }
+
+    async _cacheResult(cacheKey, result) {
+        if (!this.cache) return;
+
+        const outcome = this._classifyOutcome(result);
+        const ttl = this.config.cacheTTLPolicy[outcome] !== undefined ?
+            this.config.cacheTTLPolicy[outcome] :
+            this.config.cacheTTL;
+        const cachedAt = Date.now();
+
+        result.cache = { outcome, cachedAt, expiresAt: cachedAt + ttl };
+        await this.cache.set(cacheKey, result, ttl);
+    }
+
+    _createAbortedResult(target) {
+        return this._markAborted(this._createResultObject(target.phoneNumber, target.jid || null, target.phone));
+    }
+
+    _markAborted(result) {
+        result.aborted = true;
+        result.summary = 'Validation aborted';
+        this.emit('validation_aborted', { phoneNumber: result.number, result });
+        this.logger.info({ number: result.number, jid: result.jid }, 'Validation aborted');
+        return result;
+    }
+
+    _createFailedResult(phoneNumber, error) {
+        const result = this._createResultObject(String(phoneNumber), null);
+
+        result.summary = 'Validation failed';
+        result.diagnostics.errorDetails.push({
+            stage: 'validate',
+            error: error.message || String(error),
+            code: error.code || 'FATAL',
+            timestamp: Date.now()
+        });
+
+        return result;
+    }
+
+    _createInvalidResult(phoneNumber, phone) {
+        const result = this._createResultObject(phoneNumber, null, phone);
+
+        result.summary = 'Invalid phone number';
+        result.diagnostics.responseTime = 0;
+        result.diagnostics.errorDetails.push({
+            stage: 'parse',
+            error: `${phone.message}: ${phoneNumber}`,
+            code: 'INVALID_NUMBER',
+            reason: phone.error,
+            timestamp: Date.now()
+        });
+        result.recommendations.push('Check the number format and include the country code');
+
+        this.emit('invalid_number', { phoneNumber, reason: phone.error });
+        this.logger.info({ number: phoneNumber, stage: 'parse', code: phone.error }, 'Invalid phone number');
+
+        return result;
+    }
+
     // [Previous methods: _checkRegistration, _executeProbes, etc. remain the same]
     // I'll include the essential ones below
 
-    async _checkRegistration(jid, result) {
+    async _checkRegistration(jid, result, signal) {
+        // onWhatsApp() looks accounts up by phone number; a LID only exists for
+        // a registered account, so its probes decide the verdict instead
+        if (result.addressing === 'lid') {
+            result.isRegistered = true;
+            result.isActive = true;
+            result.ban.detectionMethods.push('lid_addressed');
+            return;
+        }
+
         try {
-            const check = await this._executeWithTimeout(
+            const check = await this._callConnection(
                 () => this.conn.onWhatsApp(jid),
-                this.config.timeout
+                this.config.timeout,
+                signal
             );
 
             result.isRegistered = check && check.length > 0 && check[0].exists;
@@ -752,22 +1905,28 @@ class WhatsAppValidator extends EventEmitter {
                 result.diagnostics.probsSuccessful++;
             }
         } catch (error) {
-            this._recordError('registration', error, result);
+            if (isAbort(error, signal)) throw error;
+            this._recordError('registration', error, result, { stage: 'registration' });
+            await this._runPluginHooks(PluginHook.ON_ERROR, { stage: 'registration', error, phoneNumber: result.number, jid, result });
         }
     }
 
-    async _executeProbes(jid, result) {
+    async _executeProbes(jid, result, signal) {
         const probes = this._buildProbeList(jid);
 
         if (this.config.parallelProbes) {
             await Promise.allSettled(
-                probes.map(probe => this._executeProbe(probe, result))
+                probes.map(probe => this._executeProbe(probe, result, signal))
             );
         } else {
             for (const probe of probes) {
-                await this._executeProbe(probe, result);
+                await this._executeProbe(probe, result, signal);
             }
         }
+
+        if (signal && signal.aborted) {
+            throw createAbortError(signal);
+        }
     }
 
     _buildProbeList(jid) {
@@ -789,50 +1948,111 @@ class WhatsAppValidator extends EventEmitter {
         return probes.sort((a, b) => a.priority - b.priority);
     }
 
-    async _executeProbe(probe, result) {
+    async _executeProbe(probe, result, signal) {
+        const context = { probe: probe.name, jid: result.jid, result };
+        const decision = await this._runPluginHooks(PluginHook.PRE_PROBE, context);
+
+        if (decision) {
+            this._applyProbeDecision(probe, decision, result);
+            return;
+        }
+
         result.diagnostics.probsExecuted++;
         const probeStart = Date.now();
+        let record;
 
         try {
-            const probeResult = await this._executeWithTimeout(probe.fn, probe.timeout);
+            const probeResult = await this._callConnection(probe.fn, probe.timeout, signal);
             this._processProbeResult(probe.name, probeResult, result);
             result.diagnostics.probsSuccessful++;
 
-            result.diagnostics.probeResults.push({
+            record = {
                 name: probe.name,
                 status: ProbeStatus.SUCCESS,
                 duration: Date.now() - probeStart
-            });
+            };
+            result.diagnostics.probeResults.push(record);
 
         } catch (error) {
-            this._recordError(probe.name, error, result);
+            if (isAbort(error, signal)) throw error;
+
+            const duration = Date.now() - probeStart;
+            this._recordError(probe.name, error, result, { stage: 'probe', probe: probe.name, attempt: 1, duration });
 
-            result.diagnostics.probeResults.push({
+            record = {
                 name: probe.name,
                 status: this._isFatalError(error) ? ProbeStatus.FAILED : ProbeStatus.TIMEOUT,
-                duration: Date.now() - probeStart,
+                duration,
                 error: error.message
-            });
+            };
+            result.diagnostics.probeResults.push(record);
+            await this._runPluginHooks(PluginHook.ON_ERROR, { stage: 'probe', probe: probe.name, error, phoneNumber: result.number, jid: result.jid, result });
 
             // Retry logic
             if (this.config.retryOnFailure && !this._isFatalError(error)) {
                 for (let retry = 0; retry < this.config.maxRetries; retry++) {
+                    const attempt = retry + 2;
+                    const delay = 1000 * (retry + 1);
+
                     result.diagnostics.fallbacksUsed.push(`${probe.name}_retry_${retry + 1}`);
-                    await this._delay(1000 * (retry + 1));
+                    this.logger.debug({ number: result.number, jid: result.jid, stage: 'retry', probe: probe.name, attempt, delay }, 'Retrying probe');
+                    await this._delay(delay, signal);
 
+                    const retryStart = Date.now();
                     try {
-                        const retryResult = await this._executeWithTimeout(probe.fn, probe.timeout);
+                        const retryResult = await this._callConnection(probe.fn, probe.timeout, signal);
                         this._processProbeResult(probe.name, retryResult, result);
                         result.diagnostics.probsSuccessful++;
+                        record.status = ProbeStatus.SUCCESS;
+                        this.logger.info({
+                            number: result.number,
+                            jid: result.jid,
+                            stage: 'retry',
+                            probe: probe.name,
+                            attempt,
+                            duration: Date.now() - retryStart
+                        }, 'Probe succeeded on retry');
                         break;
                     } catch (retryError) {
+                        if (isAbort(retryError, signal)) throw retryError;
+
+                        const fields = { stage: 'retry', probe: probe.name, attempt, duration: Date.now() - retryStart };
                         if (retry === this.config.maxRetries - 1) {
-                            this._recordError(`${probe.name}_final_retry`, retryError, result);
+                            this._recordError(`${probe.name}_final_retry`, retryError, result, fields);
+                            await this._runPluginHooks(PluginHook.ON_ERROR, {
+                                stage: 'retry',
+                                probe: probe.name,
+                                error: retryError,
+                                phoneNumber: result.number,
+                                jid: result.jid,
+                                result
+                            });
+                        } else {
+                            this._logFailure(retryError, result, fields);
                         }
                     }
                 }
             }
         }
+
+        await this._runPluginHooks(PluginHook.POST_PROBE, { ...context, ...record });
+    }
+
+    /**
+     * A pre_probe plugin either skipped the probe or supplied the response
+     * the connection would have returned
+     */
+    _applyProbeDecision(probe, decision, result) {
+        if (decision.result === undefined) {
+            result.diagnostics.probeResults.push({ name: probe.name, status: ProbeStatus.SKIPPED, duration: 0 });
+            return;
+        }
+
+        result.diagnostics.probsExecuted++;
+        result.diagnostics.probsSuccessful++;
+        this._processProbeResult(probe.name, decision.result, result);
+        result.diagnostics.probeResults.push({ name: probe.name, status: ProbeStatus.SUCCESS, duration: 0 });
+        result.diagnostics.fallbacksUsed.push(`${probe.name}_from_${decision.plugin}`);
     }
 
     _processProbeResult(probeName, probeResult, result) {
@@ -964,23 +2184,47 @@ class WhatsAppValidator extends EventEmitter {
             'Not registered or permanently banned';
     }
 
-    _recordError(stage, error, result) {
+    _recordError(stage, error, result, logFields = null) {
+        const code = this._extractErrorCode(error);
+
         result.diagnostics.errorDetails.push({
             stage,
             error: error.message || error.toString(),
-            code: this._extractErrorCode(error),
+            code,
             timestamp: Date.now()
         });
+
+        if (logFields) {
+            this._logFailure(error, result, { ...logFields, code });
+        }
+    }
+
+    _logFailure(error, result, fields) {
+        this.logger.warn({
+            number: result.number,
+            jid: result.jid,
+            code: this._extractErrorCode(error),
+            ...fields,
+            err: error
+        }, `${fields.probe || fields.stage} failed: ${error.message || error}`);
     }
 
     _extractErrorCode(error) {
         const errorStr = error.toString();
+        const lower = errorStr.toLowerCase();
         const codes = ['403', '401', '404', '429', '500'];
         for (const code of codes) {
             if (errorStr.includes(code)) return code;
         }
-        if (errorStr.toLowerCase().includes('timeout')) return 'TIMEOUT';
-        if (errorStr.toLowerCase().includes('forbidden')) return '403';
+        if (lower.includes('timeout') || lower.includes('timed out')) return 'TIMEOUT';
+        if (lower.includes('forbidden')) return '403';
+        if (['rate limit', 'rate-overlimit', 'too many'].some(p => lower.includes(p))) return '429';
+
+        // Boom errors from Baileys carry the status code separately from the message
+        const statusCode = error.output && error.output.statusCode;
+        if (statusCode === 408) return 'TIMEOUT';
+        if (statusCode) return String(statusCode);
+
         return 'UNKNOWN';
     }
 
@@ -990,24 +2234,125 @@ class WhatsAppValidator extends EventEmitter {
         return fatalPatterns.some(p => errorStr.includes(p));
     }
 
-    async _executeWithTimeout(fn, timeout) {
-        return Promise.race([
-            fn(),
-            new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Operation timeout')), timeout)
-            )
-        ]);
+    /**
+     * Connection call gated by the circuit breaker, which is fed its outcome
+     */
+    async _callConnection(fn, timeout, signal) {
+        if (!this.circuitBreaker) {
+            return this._executeWithTimeout(fn, timeout, signal);
+        }
+
+        await this.circuitBreaker.wait(signal);
+
+        try {
+            const result = await this._executeWithTimeout(fn, timeout, signal);
+            this.circuitBreaker.record(null);
+            return result;
+        } catch (error) {
+            if (isAbort(error, signal)) {
+                this.circuitBreaker.abandon();
+            } else {
+                this.circuitBreaker.record(this._extractErrorCode(error));
+            }
+            throw error;
+        }
+    }
+
+    _onCircuitStateChange(state, details) {
+        const events = {
+            [CircuitState.OPEN]: 'circuit_open',
+            [CircuitState.HALF_OPEN]: 'circuit_half_open',
+            [CircuitState.CLOSED]: 'circuit_closed'
+        };
+
+        this.emit(events[state], details);
+
+        const level = state === CircuitState.OPEN ? 'warn' : 'info';
+        this.logger[level]({ stage: 'circuit', state, ...details }, `Circuit ${state}`);
+    }
+
+    /**
+     * Race fn() against a timeout and an optional abort signal. Whichever
+     * settles first clears the timer and the abort listener.
+     */
+    _executeWithTimeout(fn, timeout, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError(signal));
+                return;
+            }
+
+            const onAbort = () => settle(reject, createAbortError(signal));
+            const timer = setTimeout(() => settle(reject, new Error('Operation timeout')), timeout);
+
+            function settle(fnSettle, value) {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                fnSettle(value);
+            }
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            Promise.resolve()
+                .then(fn)
+                .then(value => settle(resolve, value), error => settle(reject, error));
+        });
     }
 
-    _delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    _delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError(signal));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(createAbortError(signal));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Resolve raw input (phone number or JID) to the account JID to probe,
+     * the way validate() does: `{ jid, phone, addressing }`, with a null
+     * `jid` for an invalid number. Throws UnsupportedJIDError for group,
+     * broadcast and other non-account JIDs.
+     */
+    resolveTarget(input, options = {}) {
+        if (!isJID(input)) {
+            const phone = this._parseNumber(input, options);
+            return { jid: phone.isValid ? toJID(phone) : null, phone, addressing: 'pn' };
+        }
+
+        const parsed = parseJID(input);
+
+        if (parsed.type === JidType.LID) {
+            return { jid: parsed.jid, phone: null, addressing: 'lid' };
+        }
+
+        if (parsed.type !== JidType.USER) {
+            throw new UnsupportedJIDError(parsed);
+        }
+
+        const phone = parsePhoneNumber(`+${parsed.user}`);
+        return { jid: phone.isValid ? toJID(phone) : null, phone, addressing: 'pn' };
     }
 
-    _normalizeJID(phoneNumber) {
-        return phoneNumber.replace(/[^0-9]/g, '') + '@s.whatsapp.net';
+    _parseNumber(phoneNumber, options = {}) {
+        return parsePhoneNumber(phoneNumber, {
+            defaultRegion: options.defaultRegion || this.config.defaultRegion
+        });
     }
 
     _updateHealth(success) {
+        const previous = this.health.status;
         this.health.totalChecks++;
 
         if (success) {
@@ -1026,6 +2371,16 @@ class WhatsAppValidator extends EventEmitter {
         }
 
         this.health.lastCheck = Date.now();
+
+        if (this.health.status !== previous) {
+            const level = { healthy: 'info', degraded: 'warn', unhealthy: 'error' }[this.health.status];
+            this.logger[level]({
+                stage: 'health',
+                from: previous,
+                to: this.health.status,
+                consecutiveFailures: this.health.consecutiveFailures
+            }, `Health ${this.health.status}`);
+        }
     }
 
     // ========== PLUGIN SYSTEM ==========
@@ -1036,30 +2391,165 @@ class WhatsAppValidator extends EventEmitter {
         }
     }
 
+    /**
+     * Add a plugin. Throws if its name is taken - unregister the old one first
+     */
     registerPlugin(plugin) {
         if (!plugin.name || !plugin.version) {
             throw new Error('Plugin must have name and version');
         }
 
+        if (this.plugins.has(plugin.name)) {
+            throw new Error(`Plugin ${plugin.name} is already registered`);
+        }
+
         this.plugins.set(plugin.name, plugin);
+        this._sortPlugins();
 
         if (plugin.onRegister) {
             plugin.onRegister(this);
         }
 
         this.emit('plugin_registered', { name: plugin.name, version: plugin.version });
+        this.logger.info({ plugin: plugin.name, version: plugin.version, priority: plugin.priority || 0 }, 'Plugin registered');
+    }
+
+    /**
+     * Remove a plugin and run its destroy(); resolves to whether it was registered
+     */
+    async unregisterPlugin(name) {
+        const plugin = this.plugins.get(name);
+        if (!plugin) return false;
+
+        this.plugins.delete(name);
+        this._sortPlugins();
+        await this._destroyPlugin(plugin);
+
+        this.emit('plugin_unregistered', { name, version: plugin.version });
+        this.logger.info({ plugin: name, version: plugin.version }, 'Plugin unregistered');
+        return true;
+    }
+
+    /**
+     * Registered plugins in the order their hooks run
+     */
+    getPlugins() {
+        return this.pluginOrder.map(plugin => ({
+            name: plugin.name,
+            version: plugin.version,
+            priority: plugin.priority || 0
+        }));
     }
 
+    // Lower priority runs first; equal priorities keep registration order
+    _sortPlugins() {
+        this.pluginOrder = [...this.plugins.values()].sort((a, b) => (a.priority || 0) - (b.priority || 0));
+    }
+
+    /**
+     * Run a hook on each plugin in priority order. A plugin that throws or
+     * outlives its timeout is reported through `plugin_error` and skipped.
+     * For decision hooks, the first plugin to return `{ skip }` or
+     * `{ result }` ends the run and its answer is returned.
+     */
     async _runPluginHooks(hookName, ...args) {
-        for (const [name, plugin] of this.plugins) {
-            if (plugin[hookName]) {
-                try {
-                    await plugin[hookName](...args);
-                } catch (error) {
-                    this.emit('plugin_error', { plugin: name, hook: hookName, error });
-                }
+        for (const plugin of this.pluginOrder) {
+            if (typeof plugin[hookName] !== 'function') continue;
+
+            // Unregistered by an earlier hook in this run
+            if (this.plugins.get(plugin.name) !== plugin) continue;
+
+            let answer;
+            try {
+                answer = await this._callPlugin(plugin, hookName, args);
+            } catch (error) {
+                this._reportPluginError(plugin.name, hookName, error);
+                continue;
             }
+
+            if (DECISION_HOOKS.has(hookName) && answer && (answer.skip || answer.result !== undefined)) {
+                return { ...answer, plugin: plugin.name };
+            }
+        }
+
+        return null;
+    }
+
+    _callPlugin(plugin, hookName, args) {
+        const timeout = this._pluginTimeout(plugin, hookName);
+        const call = Promise.resolve().then(() => plugin[hookName](...args));
+
+        if (!timeout) return call;
+
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new PluginTimeoutError(plugin.name, hookName, timeout)), timeout);
+        });
+
+        return Promise.race([call, timedOut]).finally(() => clearTimeout(timer));
+    }
+
+    _pluginTimeout(plugin, hookName) {
+        if (plugin.hookTimeouts && plugin.hookTimeouts[hookName] !== undefined) {
+            return plugin.hookTimeouts[hookName];
         }
+        return plugin.timeout !== undefined ? plugin.timeout : this.config.pluginTimeout;
+    }
+
+    async _destroyPlugin(plugin) {
+        if (typeof plugin.destroy !== 'function') return;
+
+        try {
+            await this._callPlugin(plugin, 'destroy', []);
+        } catch (error) {
+            this._reportPluginError(plugin.name, 'destroy', error);
+        }
+    }
+
+    _reportPluginError(name, hookName, error) {
+        this.emit('plugin_error', { plugin: name, hook: hookName, error });
+        this.logger.error({ stage: 'plugin', plugin: name, hook: hookName, code: error.code, err: error }, 'Plugin hook failed');
+    }
+
+    /**
+     * Result for a validation that a pre_validation plugin skipped or answered
+     */
+    _createPluginResult(decision, target) {
+        const result = this._createResultObject(target.phoneNumber, target.jid, target.phone);
+        result.addressing = target.addressing;
+
+        if (decision.result !== undefined) {
+            // Sections the plugin left out keep their defaults
+            for (const [key, value] of Object.entries(decision.result || {})) {
+                const isSection = value && typeof value === 'object' && !Array.isArray(value) &&
+                    result[key] && typeof result[key] === 'object';
+                result[key] = isSection ? { ...result[key], ...value } : value;
+            }
+
+            if (!result.summary) this._finalizeResult(result, Date.now());
+        } else {
+            result.skipped = true;
+            result.summary = `Skipped by plugin ${decision.plugin}${decision.reason ? `: ${decision.reason}` : ''}`;
+        }
+
+        result.diagnostics.fallbacksUsed.push(`plugin_${decision.plugin}`);
+
+        this.emit('validation_skipped', {
+            phoneNumber: target.phoneNumber,
+            jid: target.jid,
+            plugin: decision.plugin,
+            reason: decision.reason || null,
+            supplied: decision.result !== undefined,
+            result
+        });
+        this.logger.info({
+            number: target.phoneNumber,
+            jid: target.jid,
+            plugin: decision.plugin,
+            supplied: decision.result !== undefined
+        }, decision.result !== undefined ? 'Result supplied by plugin' : 'Validation skipped by plugin');
+
+        return result;
     }
 
     // ========== EXPORT METHODS ==========
@@ -1068,20 +2558,135 @@ class WhatsAppValidator extends EventEmitter {
         return JSON.stringify(result, null, 2);
     }
 
-    exportCSV(results) {
+    /**
+     * Export results as RFC 4180 CSV, with `\n` line endings unless
+     * `newline` says otherwise.
+     *
+     * `columns` are dotted paths into the result (`'account.age'`) or
+     * `{ path, header }` objects. Arrays and objects are written as JSON,
+     * unless `flatten` is set, which spreads arrays over indexed columns
+     * (`recommendations.0`, `recommendations.1`, ...).
+     */
+    exportCSV(results, options = {}) {
         if (!Array.isArray(results)) results = [results];
 
-        const headers = ['Number', 'Registered', 'Banned', 'Ban Type', 'Review Available', 'Summary'];
-        const rows = results.map(r => [
-            r.number,
-            r.isRegistered,
-            r.ban.isBanned,
-            r.ban.type,
-            r.review.available,
-            r.summary
-        ]);
+        const columns = this._csvColumns(options.columns);
+        const expanded = [];
+
+        for (const column of columns) {
+            const values = results.map(r => getPath(r, column.path));
+
+            if (options.flatten && values.some(Array.isArray)) {
+                const width = Math.max(...values.map(v => (Array.isArray(v) ? v.length : 0)));
+                for (let i = 0; i < width; i++) {
+                    expanded.push({ path: `${column.path}.${i}`, header: `${column.header}.${i}` });
+                }
+            } else {
+                expanded.push(column);
+            }
+        }
+
+        const rows = results.map(r => expanded.map(column => {
+            const value = getPath(r, column.path);
+            return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        }));
+
+        return formatCSV([expanded.map(c => c.header), ...rows], options);
+    }
+
+    /**
+     * Read results back from exportCSV() output.
+     *
+     * Pass the same `columns` and `delimiter` used for the export. Each row
+     * becomes an object holding only the exported fields, with booleans,
+     * numbers, JSON values and flattened arrays restored.
+     */
+    importCSV(text, options = {}) {
+        const columns = this._csvColumns(options.columns);
+        const records = parseCSV(text, { delimiter: options.delimiter });
+        const template = this._createResultObject('', '');
+
+        if (records.length === 0) return [];
+
+        const paths = records[0].fields.map(header => {
+            const column = columns.find(c => c.header === header);
+            if (column) return { path: column.path, indexed: false };
+
+            const match = header.match(/^(.*)\.(\d+)$/);
+            const base = match && columns.find(c => c.header === match[1]);
+            if (base) return { path: base.path, indexed: true };
+
+            return { path: header, indexed: false };
+        });
+
+        return records.slice(1).map(record => {
+            const result = {};
+
+            paths.forEach(({ path, indexed }, i) => {
+                const cell = record.fields[i] !== undefined ? record.fields[i] : '';
+
+                if (indexed) {
+                    if (!Array.isArray(getPath(result, path))) setPath(result, path, []);
+                    if (cell !== '') getPath(result, path).push(cell);
+                    return;
+                }
+
+                let value;
+                try {
+                    value = this._parseCSVValue(cell, path, template);
+                } catch (error) {
+                    throw new Error(`Invalid JSON in column "${records[0].fields[i]}" on line ${record.line}: ${error.message}`);
+                }
+
+                setPath(result, path, value);
+            });
+
+            return result;
+        });
+    }
+
+    /**
+     * Single-file HTML report: counts by ban type, a sortable table with
+     * expandable diagnostics, and the analytics report when enabled
+     */
+    exportHTML(results, options = {}) {
+        return renderHTMLReport(results, {
+            analytics: this.getAnalytics(),
+            banTypes: Object.values(BanType),
+            ...options
+        });
+    }
 
-        return [headers, ...rows].map(row => row.join(',')).join('\n');
+    _csvColumns(columns = DEFAULT_CSV_COLUMNS) {
+        return columns.map(column => (
+            typeof column === 'string' ? { path: column, header: column } : { header: column.path, ...column }
+        ));
+    }
+
+    /**
+     * Restore a CSV cell to the type the result field holds
+     */
+    _parseCSVValue(cell, path, template) {
+        const initial = getPath(template, path);
+        const type = initial === null || initial === undefined ? NULLABLE_FIELD_TYPES[path] : typeof initial;
+
+        if (cell === '') {
+            return initial === '' ? '' : null;
+        }
+
+        if (type === 'boolean') {
+            return cell === 'true';
+        }
+
+        if (type === 'number') {
+            return Number(cell);
+        }
+
+        if (type === 'object') {
+            return JSON.parse(cell);
+        }
+
+        return cell;
     }
 
     // ========== FORMAT METHODS ==========
@@ -1091,19 +2696,27 @@ class WhatsAppValidator extends EventEmitter {
 
         lines.push('WhatsApp Account Validation');
         lines.push('');
-        lines.push(`Number: +${result.number}`);
-        lines.push(`Status: ${result.isActive ? 'Active' : 'Inactive'}`);
-        lines.push(`Registered: ${result.isRegistered ? 'Yes' : 'No'}`);
-        lines.push('');
 
-        if (result.ban.isBanned) {
-            lines.push(`Ban Type: ${result.ban.type}`);
-            lines.push(`Review Available: ${result.review.available ? 'Yes' : 'No'}`);
-            if (result.review.estimatedTime) {
-                lines.push(`Review Time: ${result.review.estimatedTime}`);
-            }
+        // Never probed, so there is no status or ban to report
+        const invalid = result.diagnostics.errorDetails.find(e => e.code === 'INVALID_NUMBER');
+        if (invalid) {
+            lines.push(`Number: ${result.number}`);
+            lines.push(`Error: ${invalid.error} (${invalid.reason})`);
         } else {
-            lines.push('No restrictions detected');
+            lines.push(`Number: ${result.phone && result.phone.e164 ? result.phone.e164 : `+${result.number}`}`);
+            lines.push(`Status: ${result.isActive ? 'Active' : 'Inactive'}`);
+            lines.push(`Registered: ${result.isRegistered ? 'Yes' : 'No'}`);
+            lines.push('');
+
+            if (result.ban.isBanned) {
+                lines.push(`Ban Type: ${result.ban.type}`);
+                lines.push(`Review Available: ${result.review.available ? 'Yes' : 'No'}`);
+                if (result.review.estimatedTime) {
+                    lines.push(`Review Time: ${result.review.estimatedTime}`);
+                }
+            } else {
+                lines.push('No restrictions detected');
+            }
         }
 
         if (result.recommendations.length > 0) {
@@ -1126,7 +2739,7 @@ class WhatsAppValidator extends EventEmitter {
         lines.push('');
 
         lines.push('[Account Information]');
-        lines.push(`Number: +${result.number}`);
+        lines.push(`Number: ${result.phone && result.phone.e164 ? result.phone.e164 : `+${result.number}`}`);
         lines.push(`Status: ${result.isActive ? 'Active' : 'Inactive'}`);
         lines.push(`Registered: ${result.isRegistered ? 'Yes' : 'No'}`);
         lines.push(`Type: ${result.account.isBusinessAccount ? 'Business' : 'Personal'}`);
@@ -1196,13 +2809,67 @@ class WhatsAppValidator extends EventEmitter {
         return this.rateLimiter ? this.rateLimiter.getStatus() : null;
     }
 
+    getCircuitStatus() {
+        return this.circuitBreaker ? this.circuitBreaker.getStatus() : null;
+    }
+
     getHealth() {
         return this.health;
     }
 
-    clearCache() {
+    /**
+     * Verdict timeline for a number or JID, oldest first
+     */
+    async getHistory(number, options = {}) {
+        const jid = this._historyKey(number, options);
+        return this.statusHistory && jid ? this.statusHistory.getHistory(jid) : [];
+    }
+
+    /**
+     * Status transitions, oldest first. Query: `number`, `since`, `until`,
+     * `from` / `to` (ban types) and `field` (a tracked field that changed).
+     */
+    async getTransitions(query = {}) {
+        if (!this.statusHistory) return [];
+
+        const { number, ...rest } = query;
+        if (number === undefined) return this.statusHistory.getTransitions(rest);
+
+        const jid = this._historyKey(number, query);
+        return jid ? this.statusHistory.getTransitions({ ...rest, jid }) : [];
+    }
+
+    /**
+     * Forget the history of one number, or of every number
+     */
+    async clearHistory(number) {
+        if (!this.statusHistory) return;
+
+        if (number === undefined) {
+            await this.statusHistory.clear();
+            return;
+        }
+
+        const jid = this._historyKey(number);
+        if (jid) await this.statusHistory.clear(jid);
+    }
+
+    _historyKey(number, options = {}) {
+        return this.resolveTarget(number, options).jid;
+    }
+
+    /**
+     * Cached result for a number or JID, or null. Does not count as a cache
+     * hit or miss.
+     */
+    async getCachedResult(number, options = {}) {
+        const { jid } = this.resolveTarget(number, options);
+        return this.cache && jid ? this.cache.peek(`validate:${jid}`) : null;
+    }
+
+    async clearCache() {
         if (this.cache) {
-            this.cache.clear();
+            await this.cache.clear();
         }
     }
 
@@ -1220,8 +2887,58 @@ module.exports = {
     ReviewType,
     AccountAge,
     ProbeStatus,
+    CacheOutcome,
+    PluginHook,
+    DEFAULT_CACHE_TTL_POLICY,
+    DEFAULT_CSV_COLUMNS,
     ValidationCache,
+    MemoryCacheStore,
+    FileCacheStore,
+    StatusHistory,
+    MemoryHistoryStore,
+    FileHistoryStore,
     RateLimiter,
+    RateLimitMode,
+    CancelledError,
+    PluginTimeoutError,
+    CircuitBreaker,
+    CircuitState,
     AnalyticsEngine,
-    MLPatternDetector
+    MLPatternDetector,
+    MockConnection,
+    RecordingConnection,
+    ReplayConnection,
+    FixtureMissError,
+    BatchJob,
+    JobState,
+    NDJSONFileSink,
+    RotatingFileSink,
+    CallbackSink,
+    renderHTMLReport,
+    ValidatorServer,
+    HttpError,
+    startServer,
+    MetricsRegistry,
+    ValidatorMetrics,
+    METRICS_CONTENT_TYPE,
+    ConsoleLogger,
+    LogLevel,
+    FleetMonitor,
+    MonitorState,
+    isFailedResult,
+    WebhookNotifier,
+    WebhookDeliveryError,
+    WebhookEvent,
+    signPayload,
+    verifyWebhookSignature,
+    WEBHOOK_PAYLOAD_VERSION,
+    importNumbers,
+    parseNumberList,
+    attachMetadata,
+    ImportFormat,
+    parsePhoneNumber,
+    NumberError,
+    parseJID,
+    UnsupportedJIDError,
+    JidType
 };
@@ -0,0 +1,92 @@
+/**
+ * WhatsApp JID parsing
+ *
+ * @module @whatsapp-tools/account-validator/jid
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const JidServer = {
+    USER: 's.whatsapp.net',
+    LEGACY_USER: 'c.us',
+    LID: 'lid',
+    GROUP: 'g.us',
+    BROADCAST: 'broadcast',
+    NEWSLETTER: 'newsletter'
+};
+
+const JidType = {
+    USER: 'user',
+    LID: 'lid',
+    GROUP: 'group',
+    BROADCAST: 'broadcast',
+    NEWSLETTER: 'newsletter',
+    UNKNOWN: 'unknown'
+};
+
+const SERVER_TYPES = {
+    [JidServer.USER]: JidType.USER,
+    [JidServer.LEGACY_USER]: JidType.USER,
+    [JidServer.LID]: JidType.LID,
+    [JidServer.GROUP]: JidType.GROUP,
+    [JidServer.BROADCAST]: JidType.BROADCAST,
+    [JidServer.NEWSLETTER]: JidType.NEWSLETTER
+};
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+class UnsupportedJIDError extends Error {
+    constructor(parsed) {
+        super(`Cannot validate ${parsed.type} JID: ${parsed.input}`);
+        this.name = 'UnsupportedJIDError';
+        this.code = 'UNSUPPORTED_JID';
+        this.jid = parsed.jid;
+        this.type = parsed.type;
+    }
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+function isJID(input) {
+    return typeof input === 'string' && input.includes('@');
+}
+
+/**
+ * Split a JID into user, device and server parts.
+ *
+ * Device suffixes (`user:12@...`) are dropped and legacy `c.us` addresses
+ * are mapped to `s.whatsapp.net`, so the returned `jid` is the canonical
+ * account address.
+ */
+function parseJID(input) {
+    const raw = String(input).trim();
+    const at = raw.lastIndexOf('@');
+    const server = raw.slice(at + 1).toLowerCase();
+    const [userPart, device] = raw.slice(0, at).split(':');
+    const user = userPart.split('_')[0];
+    const type = SERVER_TYPES[server] || JidType.UNKNOWN;
+    const canonicalServer = server === JidServer.LEGACY_USER ? JidServer.USER : server;
+
+    return {
+        input: raw,
+        jid: `${user}@${canonicalServer}`,
+        user,
+        server: canonicalServer,
+        device: device !== undefined ? Number(device) : null,
+        type
+    };
+}
+
+module.exports = {
+    isJID,
+    parseJID,
+    UnsupportedJIDError,
+    JidServer,
+    JidType
+};
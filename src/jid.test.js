@@ -0,0 +1,62 @@
+const { parseJID, isJID, UnsupportedJIDError, JidType } = require('./jid');
+const { WhatsAppValidator, MockConnection, BanType } = require('./index');
+
+describe('parseJID', () => {
+    test('canonicalizes device suffixes and legacy c.us addresses', () => {
+        expect(parseJID('201012345678:12@s.whatsapp.net')).toMatchObject({
+            jid: '201012345678@s.whatsapp.net',
+            user: '201012345678',
+            device: 12,
+            type: JidType.USER
+        });
+        expect(parseJID('201012345678@c.us').jid).toBe('201012345678@s.whatsapp.net');
+    });
+
+    test('types LID, group, broadcast and unknown servers', () => {
+        expect(parseJID('123456789012345@lid').type).toBe(JidType.LID);
+        expect(parseJID('120363025246125888@g.us').type).toBe(JidType.GROUP);
+        expect(parseJID('status@broadcast').type).toBe(JidType.BROADCAST);
+        expect(parseJID('someone@example.com').type).toBe(JidType.UNKNOWN);
+    });
+
+    test('isJID only looks for an @', () => {
+        expect(isJID('+201012345678')).toBe(false);
+        expect(isJID('201012345678@s.whatsapp.net')).toBe(true);
+    });
+});
+
+describe('validate() with JIDs', () => {
+    let conn;
+    let validator;
+
+    beforeEach(() => {
+        conn = new MockConnection();
+        validator = new WhatsAppValidator(conn, { enableRateLimiting: false, enableCircuitBreaker: false });
+    });
+
+    afterEach(() => validator.close());
+
+    test('a phone-number JID shares the cache entry of its number', async () => {
+        const first = await validator.validate('201012345678:3@c.us');
+        await validator.validate('+20 101 234 5678');
+
+        expect(first.jid).toBe('201012345678@s.whatsapp.net');
+        expect(first.addressing).toBe('pn');
+        expect(conn.callCount('onWhatsApp')).toBe(1);
+    });
+
+    test('a LID skips the registration lookup', async () => {
+        const result = await validator.validate('123456789012345@lid');
+
+        expect(result.addressing).toBe('lid');
+        expect(result.phone.e164).toBeNull();
+        expect(result.isRegistered).toBe(true);
+        expect(result.ban.type).toBe(BanType.NONE);
+        expect(conn.callCount('onWhatsApp')).toBe(0);
+    });
+
+    test('group and broadcast JIDs are rejected', async () => {
+        await expect(validator.validate('120363025246125888@g.us')).rejects.toBeInstanceOf(UnsupportedJIDError);
+        await expect(validator.validate('status@broadcast')).rejects.toMatchObject({ code: 'UNSUPPORTED_JID', type: JidType.BROADCAST });
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Structured, leveled logging
+ *
+ * The validator logs through any object with pino-style level methods,
+ * `logger.info(fields, message)`, or a winston-style `logger.log(entry)`.
+ * ConsoleLogger is the built-in JSON-lines implementation.
+ *
+ * @module @whatsapp-tools/account-validator/logger
+ */
+
+const LogLevel = {
+    DEBUG: 'debug',
+    INFO: 'info',
+    WARN: 'warn',
+    ERROR: 'error',
+    SILENT: 'silent'
+};
+
+const LEVEL_VALUES = {
+    [LogLevel.DEBUG]: 20,
+    [LogLevel.INFO]: 30,
+    [LogLevel.WARN]: 40,
+    [LogLevel.ERROR]: 50,
+    [LogLevel.SILENT]: Infinity
+};
+
+// ============================================================================
+// CONSOLE LOGGER
+// ============================================================================
+
+/**
+ * Writes one JSON object per line: `{ time, level, msg, ...bindings, ...fields }`.
+ * Errors passed as `err` are reduced to `{ type, message, code, stack }`.
+ */
+class ConsoleLogger {
+    constructor(options = {}) {
+        this.level = options.level || LogLevel.INFO;
+
+        if (!(this.level in LEVEL_VALUES)) {
+            throw new Error(`Unknown log level: ${this.level}`);
+        }
+
+        this.stream = options.stream || process.stderr;
+        this.bindings = options.bindings || {};
+        this.includeStack = options.includeStack || false;
+    }
+
+    debug(fields, message) {
+        this._write(LogLevel.DEBUG, fields, message);
+    }
+
+    info(fields, message) {
+        this._write(LogLevel.INFO, fields, message);
+    }
+
+    warn(fields, message) {
+        this._write(LogLevel.WARN, fields, message);
+    }
+
+    error(fields, message) {
+        this._write(LogLevel.ERROR, fields, message);
+    }
+
+    isLevelEnabled(level) {
+        return LEVEL_VALUES[level] >= LEVEL_VALUES[this.level];
+    }
+
+    /**
+     * Logger that adds `bindings` to every line
+     */
+    child(bindings) {
+        return new ConsoleLogger({
+            level: this.level,
+            stream: this.stream,
+            includeStack: this.includeStack,
+            bindings: { ...this.bindings, ...bindings }
+        });
+    }
+
+    _write(level, fields, message) {
+        if (!this.isLevelEnabled(level)) return;
+
+        if (typeof fields === 'string') {
+            message = fields;
+            fields = {};
+        }
+
+        const entry = { time: new Date().toISOString(), level, msg: message, ...this.bindings };
+
+        for (const [key, value] of Object.entries(fields || {})) {
+            if (value === undefined) continue;
+            entry[key] = value instanceof Error ? this._serializeError(value) : value;
+        }
+
+        this.stream.write(JSON.stringify(entry) + '\n');
+    }
+
+    _serializeError(error) {
+        const serialized = { type: error.name, message: error.message };
+        if (error.code !== undefined) serialized.code = error.code;
+        if (this.includeStack) serialized.stack = error.stack;
+        return serialized;
+    }
+}
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
+/**
+ * What the validator logs through. Wraps a pino-shaped or winston-shaped
+ * logger (or nothing), and never lets a failing logger break validation.
+ */
+class LoggerAdapter {
+    constructor(target = null) {
+        this.target = target;
+
+        // winston exposes log(entry) and a level map of plain numbers
+        this.winston = Boolean(target && typeof target.log === 'function' &&
+            target.levels && typeof target.levels.error === 'number' && !target.levels.values);
+    }
+
+    debug(fields, message) {
+        this._write(LogLevel.DEBUG, fields, message);
+    }
+
+    info(fields, message) {
+        this._write(LogLevel.INFO, fields, message);
+    }
+
+    warn(fields, message) {
+        this._write(LogLevel.WARN, fields, message);
+    }
+
+    error(fields, message) {
+        this._write(LogLevel.ERROR, fields, message);
+    }
+
+    _write(level, fields, message) {
+        if (!this.target) return;
+
+        try {
+            if (this.winston) {
+                this.target.log({ level, message, ...fields });
+            } else if (typeof this.target[level] === 'function') {
+                this.target[level](fields, message);
+            }
+        } catch (error) {
+            // Logging is best-effort
+        }
+    }
+}
+
+module.exports = {
+    ConsoleLogger,
+    LoggerAdapter,
+    LogLevel
+};
@@ -0,0 +1,86 @@
+const { WhatsAppValidator, MockConnection, ConsoleLogger, LogLevel } = require('./index');
+const { LoggerAdapter } = require('./logger');
+
+function memoryStream() {
+    const lines = [];
+    return { lines, write: chunk => lines.push(JSON.parse(chunk)) };
+}
+
+describe('ConsoleLogger', () => {
+    test('writes JSON lines at or above its level', () => {
+        const stream = memoryStream();
+        const logger = new ConsoleLogger({ level: LogLevel.INFO, stream });
+
+        logger.debug({ n: 1 }, 'hidden');
+        logger.info({ n: 2, skipped: undefined }, 'shown');
+        logger.warn('bare message');
+
+        expect(stream.lines.map(l => l.msg)).toEqual(['shown', 'bare message']);
+        expect(stream.lines[0]).toMatchObject({ level: 'info', n: 2 });
+        expect(stream.lines[0]).not.toHaveProperty('skipped');
+    });
+
+    test('child() adds bindings and errors are reduced to plain fields', () => {
+        const stream = memoryStream();
+        const error = Object.assign(new Error('boom'), { code: 'E_BOOM' });
+
+        new ConsoleLogger({ stream }).child({ job: 'nightly' }).error({ err: error }, 'failed');
+
+        expect(stream.lines[0]).toMatchObject({ job: 'nightly', err: { type: 'Error', message: 'boom', code: 'E_BOOM' } });
+        expect(stream.lines[0].err).not.toHaveProperty('stack');
+    });
+
+    test('rejects unknown levels', () => {
+        expect(() => new ConsoleLogger({ level: 'verbose' })).toThrow(/Unknown log level/);
+    });
+});
+
+describe('LoggerAdapter', () => {
+    test('calls pino-style loggers as level(fields, message)', () => {
+        const calls = [];
+        new LoggerAdapter({ info: (fields, message) => calls.push([fields, message]) }).info({ n: 1 }, 'hello');
+
+        expect(calls).toEqual([[{ n: 1 }, 'hello']]);
+    });
+
+    test('calls winston-style loggers as log(entry)', () => {
+        const entries = [];
+        const winston = { levels: { error: 0, warn: 1, info: 2 }, log: entry => entries.push(entry) };
+        new LoggerAdapter(winston).warn({ n: 1 }, 'careful');
+
+        expect(entries).toEqual([{ level: 'warn', message: 'careful', n: 1 }]);
+    });
+
+    test('a throwing logger never breaks validation', async () => {
+        const explode = () => { throw new Error('logger down'); };
+        const validator = new WhatsAppValidator(new MockConnection(), {
+            enableRateLimiting: false,
+            logger: { debug: explode, info: explode, warn: explode, error: explode }
+        });
+
+        const result = await validator.validate('+201012345678');
+        await validator.close();
+
+        expect(result.isRegistered).toBe(true);
+    });
+});
+
+describe('validator logging', () => {
+    test('logs the verdict of each validation', async () => {
+        const stream = memoryStream();
+        const validator = new WhatsAppValidator(new MockConnection(), {
+            enableRateLimiting: false,
+            logger: new ConsoleLogger({ level: LogLevel.DEBUG, stream })
+        });
+
+        await validator.validate('+201012345678');
+        await validator.close();
+
+        expect(stream.lines.find(l => l.msg === 'Validation complete')).toMatchObject({
+            level: 'info',
+            number: '+201012345678',
+            jid: '201012345678@s.whatsapp.net',
+            banType: 'none'
+        });
+    });
+});
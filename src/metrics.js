@@ -0,0 +1,347 @@
+/**
+ * Prometheus metrics for a WhatsAppValidator
+ *
+ * @module @whatsapp-tools/account-validator/metrics
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const HEALTH_STATES = ['healthy', 'degraded', 'unhealthy'];
+const CIRCUIT_STATES = ['closed', 'open', 'half_open'];
+
+// ============================================================================
+// METRIC TYPES
+// ============================================================================
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    _key(labels = {}) {
+        return this.labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])).join('\u0000');
+    }
+
+    _labels(key, extra = {}) {
+        const values = key === '' && this.labelNames.length === 0 ? [] : key.split('\u0000');
+        const pairs = this.labelNames.map((name, i) => [name, values[i]]);
+        pairs.push(...Object.entries(extra));
+
+        if (pairs.length === 0) return '';
+        return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+
+        for (const [key, value] of this.values) {
+            lines.push(`${this.name}${this._labels(key)} ${formatValue(value)}`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = this._key(labels);
+        this.values.set(key, (this.values.get(key) || 0) + amount);
+    }
+
+    /**
+     * Mirror a counter kept elsewhere (e.g. in cache stats)
+     */
+    setTotal(labels, value) {
+        this.values.set(this._key(labels), value);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.values.set(this._key(labels), value);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = this._key(labels);
+        let series = this.values.get(key);
+
+        if (!series) {
+            series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, series);
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} histogram`];
+
+        for (const [key, series] of this.values) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${this._labels(key, { le: formatValue(bound) })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${this._labels(key, { le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${this._labels(key)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${this._labels(key)} ${series.count}`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Holds metrics and renders them in the Prometheus text format. Collectors
+ * registered with `onCollect()` run before every render, for values read
+ * from a snapshot rather than counted from events.
+ */
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    counter(name, help, labelNames) {
+        return this._register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this._register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    onCollect(fn) {
+        this.collectors.push(fn);
+    }
+
+    get(name) {
+        return this.metrics.get(name) || null;
+    }
+
+    render() {
+        for (const collect of this.collectors) collect();
+
+        return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+    }
+
+    _register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+}
+
+// ============================================================================
+// VALIDATOR METRICS
+// ============================================================================
+
+/**
+ * Feeds a registry from a validator's events, and reads cache, rate-limiter,
+ * circuit and health state on each render.
+ */
+class ValidatorMetrics {
+    constructor(validator, options = {}) {
+        const prefix = options.prefix !== undefined ? options.prefix : 'wa_validator_';
+        const buckets = options.buckets || DEFAULT_BUCKETS;
+
+        this.validator = validator;
+        this.registry = options.registry || new MetricsRegistry();
+        this.started = new Map();
+
+        const r = this.registry;
+        this.validations = r.counter(`${prefix}validations_total`, 'Completed validations by ban type', ['ban_type']);
+        this.validationErrors = r.counter(`${prefix}validation_errors_total`, 'Validations that failed with a critical error');
+        this.invalidNumbers = r.counter(`${prefix}invalid_numbers_total`, 'Numbers rejected before probing', ['reason']);
+        this.aborted = r.counter(`${prefix}validations_aborted_total`, 'Validations cancelled through an AbortSignal');
+        this.coalesced = r.counter(`${prefix}validations_coalesced_total`, 'Calls that joined an in-flight validation');
+        this.probes = r.counter(`${prefix}probes_total`, 'Probe executions by probe and status', ['probe', 'status']);
+        this.detections = r.counter(`${prefix}detections_total`, 'Detection methods that contributed to a verdict', ['method']);
+        this.validationDuration = r.histogram(`${prefix}validation_duration_seconds`, 'Validation pipeline duration', [], buckets);
+        this.probeDuration = r.histogram(`${prefix}probe_duration_seconds`, 'Probe duration by probe', ['probe'], buckets);
+
+        this.cacheHits = r.counter(`${prefix}cache_hits_total`, 'Cache hits');
+        this.cacheMisses = r.counter(`${prefix}cache_misses_total`, 'Cache misses');
+        this.cacheEvictions = r.counter(`${prefix}cache_evictions_total`, 'Entries evicted to respect size or memory bounds');
+        this.cacheExpirations = r.counter(`${prefix}cache_expirations_total`, 'Entries removed after their TTL');
+        this.cacheSize = r.gauge(`${prefix}cache_entries`, 'Entries in the cache');
+        this.cacheMemory = r.gauge(`${prefix}cache_memory_bytes`, 'Estimated size of cached results');
+
+        this.queueDepth = r.gauge(`${prefix}rate_limit_queue_depth`, 'Validations waiting for a rate-limit slot');
+        this.running = r.gauge(`${prefix}rate_limit_running`, 'Validations holding a rate-limit slot');
+        this.remaining = r.gauge(`${prefix}rate_limit_remaining`, 'Requests left in the current window or bucket');
+        this.waitTime = r.gauge(`${prefix}rate_limit_wait_seconds_avg`, 'Average time spent queued for a slot');
+
+        this.health = r.gauge(`${prefix}health_status`, 'Current health status (1 for the active state)', ['status']);
+        this.consecutiveFailures = r.gauge(`${prefix}health_consecutive_failures`, 'Consecutive failed validations');
+        this.circuit = r.gauge(`${prefix}circuit_state`, 'Current circuit breaker state (1 for the active state)', ['state']);
+
+        this.listeners = {
+            validation_start: ({ phoneNumber }) => this.started.set(phoneNumber, Date.now()),
+            validation_complete: ({ phoneNumber, result }) => this._onComplete(phoneNumber, result),
+            validation_error: ({ phoneNumber }) => {
+                this.started.delete(phoneNumber);
+                this.validationErrors.inc();
+            },
+            validation_aborted: ({ phoneNumber }) => {
+                this.started.delete(phoneNumber);
+                this.aborted.inc();
+            },
+            validation_coalesced: () => this.coalesced.inc(),
+            invalid_number: ({ reason }) => this.invalidNumbers.inc({ reason })
+        };
+
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            validator.on(event, listener);
+        }
+
+        r.onCollect(() => this._collect());
+    }
+
+    /**
+     * Prometheus text exposition of every metric in the registry
+     */
+    render() {
+        return this.registry.render();
+    }
+
+    /**
+     * `(req, res)` handler serving render() - mount it on any path
+     */
+    handler() {
+        return (req, res) => {
+            const body = this.render();
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Content-Length': Buffer.byteLength(body) });
+            res.end(req.method === 'HEAD' ? undefined : body);
+        };
+    }
+
+    /**
+     * Stop listening to the validator
+     */
+    detach() {
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            this.validator.removeListener(event, listener);
+        }
+        this.started.clear();
+    }
+
+    _onComplete(phoneNumber, result) {
+        const startedAt = this.started.get(phoneNumber);
+        this.started.delete(phoneNumber);
+
+        this.validations.inc({ ban_type: result.ban.type });
+
+        if (startedAt !== undefined) {
+            this.validationDuration.observe({}, (Date.now() - startedAt) / 1000);
+        }
+
+        for (const probe of result.diagnostics.probeResults) {
+            this.probes.inc({ probe: probe.name, status: probe.status });
+            this.probeDuration.observe({ probe: probe.name }, probe.duration / 1000);
+        }
+
+        for (const method of result.ban.detectionMethods) {
+            this.detections.inc({ method });
+        }
+    }
+
+    _collect() {
+        const cache = this.validator.getCacheStats();
+        if (cache) {
+            this.cacheHits.setTotal({}, cache.hits);
+            this.cacheMisses.setTotal({}, cache.misses);
+            this.cacheEvictions.setTotal({}, cache.evictions);
+            this.cacheExpirations.setTotal({}, cache.expirations);
+            this.cacheSize.set({}, cache.size);
+            // Only tracked when the cache has a memory bound
+            if (typeof cache.memoryUsage === 'number') this.cacheMemory.set({}, cache.memoryUsage);
+        }
+
+        const limiter = this.validator.getRateLimitStatus();
+        if (limiter) {
+            this.queueDepth.set({}, limiter.queueDepth);
+            this.running.set({}, limiter.running);
+            this.remaining.set({}, limiter.remaining);
+            this.waitTime.set({}, limiter.waitTime.avg / 1000);
+        }
+
+        const health = this.validator.getHealth();
+        for (const status of HEALTH_STATES) {
+            this.health.set({ status }, health.status === status ? 1 : 0);
+        }
+        this.consecutiveFailures.set({}, health.consecutiveFailures);
+
+        const circuit = this.validator.getCircuitStatus();
+        if (circuit) {
+            for (const state of CIRCUIT_STATES) {
+                this.circuit.set({ state }, circuit.state === state ? 1 : 0);
+            }
+        }
+    }
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+module.exports = {
+    MetricsRegistry,
+    ValidatorMetrics,
+    Counter,
+    Gauge,
+    Histogram,
+    METRICS_CONTENT_TYPE: CONTENT_TYPE
+};
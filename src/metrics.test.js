@@ -0,0 +1,72 @@
+const { WhatsAppValidator, MockConnection, MetricsRegistry, ValidatorMetrics, BanType } = require('./index');
+
+function sample(text, series) {
+    const line = text.split('\n').find(l => l.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('MetricsRegistry', () => {
+    test('renders counters, gauges and histograms in the text format', () => {
+        const registry = new MetricsRegistry();
+        registry.counter('jobs_total', 'Jobs\nrun', ['kind']).inc({ kind: 'a"b' }, 2);
+        registry.gauge('queue', 'Queued').set({}, 3);
+        registry.histogram('latency_seconds', 'Latency', [], [0.1, 1]).observe({}, 0.5);
+
+        const text = registry.render();
+
+        expect(text).toContain('# HELP jobs_total Jobs\\nrun');
+        expect(text).toContain('jobs_total{kind="a\\"b"} 2');
+        expect(sample(text, 'queue')).toBe(3);
+        expect(text).toContain('latency_seconds_bucket{le="0.1"} 0');
+        expect(text).toContain('latency_seconds_bucket{le="1"} 1');
+        expect(text).toContain('latency_seconds_bucket{le="+Inf"} 1');
+        expect(sample(text, 'latency_seconds_count')).toBe(1);
+    });
+
+    test('refuses duplicate names', () => {
+        const registry = new MetricsRegistry();
+        registry.counter('jobs_total', 'Jobs');
+
+        expect(() => registry.gauge('jobs_total', 'Jobs')).toThrow(/already registered/);
+    });
+});
+
+describe('ValidatorMetrics', () => {
+    let conn;
+    let validator;
+    let metrics;
+
+    beforeEach(() => {
+        conn = new MockConnection({ scenarios: { '+201012345679': { registered: false } } });
+        validator = new WhatsAppValidator(conn, { enableCircuitBreaker: false });
+        metrics = new ValidatorMetrics(validator);
+    });
+
+    afterEach(() => {
+        metrics.detach();
+        return validator.close();
+    });
+
+    test('counts verdicts, invalid numbers and cache traffic', async () => {
+        await validator.validate('+201012345678');
+        await validator.validate('+201012345678');
+        await validator.validate('+201012345679');
+        await validator.validate('12');
+
+        const text = metrics.render();
+
+        expect(sample(text, `wa_validator_validations_total{ban_type="${BanType.NONE}"}`)).toBe(1);
+        expect(sample(text, `wa_validator_validations_total{ban_type="${BanType.PERMANENT}"}`)).toBe(1);
+        expect(sample(text, 'wa_validator_invalid_numbers_total{reason="TOO_SHORT"}')).toBe(1);
+        expect(sample(text, 'wa_validator_cache_hits_total')).toBe(1);
+        expect(sample(text, 'wa_validator_validation_duration_seconds_count')).toBe(2);
+        expect(sample(text, 'wa_validator_health_status{status="healthy"}')).toBe(1);
+    });
+
+    test('detach() stops counting', async () => {
+        metrics.detach();
+        await validator.validate('+201012345678');
+
+        expect(metrics.render()).not.toContain('wa_validator_validations_total{');
+    });
+});
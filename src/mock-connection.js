@@ -0,0 +1,229 @@
+/**
+ * Scriptable in-memory stand-in for a Baileys socket
+ *
+ * @module @whatsapp-tools/account-validator/mock-connection
+ */
+
+// ============================================================================
+// DEFAULTS
+// ============================================================================
+
+const CONNECTION_METHODS = [
+    'onWhatsApp',
+    'fetchStatus',
+    'profilePictureUrl',
+    'getBusinessProfile',
+    'presenceSubscribe'
+];
+
+const STATUS_REASONS = {
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'Not Found',
+    408: 'Request Time-out',
+    429: 'Too Many Requests',
+    500: 'Internal Server Error',
+    503: 'Service Unavailable'
+};
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// ============================================================================
+// MOCK CONNECTION
+// ============================================================================
+
+/**
+ * Connection double exposing the probe surface used by WhatsAppValidator.
+ *
+ * Each JID follows a scenario script. A scenario sets `registered`, a default
+ * `latency`, and per-method steps keyed by connection method name. A step is
+ * `{ result, latency, error, hang }`, or an array of steps consumed one per
+ * call (the last step repeats). Every call is recorded in `this.calls`.
+ */
+class MockConnection {
+    constructor(options = {}) {
+        this.defaultScenario = options.defaultScenario || { registered: true };
+        this.scenarios = new Map();
+        this.calls = [];
+        this.cursors = new Map();
+        this.sequence = 0;
+
+        for (const [key, scenario] of Object.entries(options.scenarios || {})) {
+            this.setScenario(key, scenario);
+        }
+
+        for (const method of CONNECTION_METHODS) {
+            this[method] = (jid, ...args) => this._invoke(method, jid, args);
+        }
+    }
+
+    /**
+     * Assign a scenario script to a number or JID
+     */
+    setScenario(numberOrJid, scenario) {
+        const jid = MockConnection.toJID(numberOrJid);
+        this.scenarios.set(jid, scenario);
+        this._clearCursors(jid);
+        return this;
+    }
+
+    getScenario(jid) {
+        return this.scenarios.get(jid) || this.defaultScenario;
+    }
+
+    /**
+     * Recorded calls, optionally filtered by method and/or JID
+     */
+    getCalls(filter = {}) {
+        const jid = filter.jid ? MockConnection.toJID(filter.jid) : null;
+
+        return this.calls.filter(call =>
+            (!filter.method || call.method === filter.method) &&
+            (!jid || call.jid === jid)
+        );
+    }
+
+    callCount(method, numberOrJid) {
+        return this.getCalls({ method, jid: numberOrJid }).length;
+    }
+
+    /**
+     * Forget recorded calls and rewind every step script
+     */
+    reset() {
+        this.calls = [];
+        this.cursors.clear();
+        this.sequence = 0;
+    }
+
+    async _invoke(method, jid, args) {
+        const step = this._nextStep(method, jid);
+        const call = {
+            seq: ++this.sequence,
+            method,
+            jid,
+            args,
+            startedAt: Date.now(),
+            settledAt: null,
+            duration: null,
+            outcome: 'pending',
+            result: undefined,
+            error: null
+        };
+
+        this.calls.push(call);
+
+        if (step.hang) {
+            return new Promise(() => { });
+        }
+
+        const latency = step.latency !== undefined ?
+            step.latency :
+            (this.getScenario(jid).latency || 0);
+
+        if (latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, latency));
+        }
+
+        call.settledAt = Date.now();
+        call.duration = call.settledAt - call.startedAt;
+
+        if (step.error) {
+            const error = MockConnection.createError(step.error);
+            call.outcome = 'rejected';
+            call.error = error;
+            throw error;
+        }
+
+        const result = typeof step.result === 'function' ? step.result(jid, ...args) : step.result;
+        call.outcome = 'resolved';
+        call.result = result;
+        return result;
+    }
+
+    _nextStep(method, jid) {
+        const scenario = this.getScenario(jid);
+        const script = scenario[method];
+
+        if (script === undefined) {
+            return this._defaultStep(method, jid, scenario);
+        }
+
+        if (!Array.isArray(script)) {
+            return script;
+        }
+
+        const key = `${jid}|${method}`;
+        const index = this.cursors.get(key) || 0;
+        this.cursors.set(key, index + 1);
+
+        return script[Math.min(index, script.length - 1)];
+    }
+
+    _defaultStep(method, jid, scenario) {
+        const registered = scenario.registered !== false;
+
+        if (method === 'onWhatsApp') {
+            return { result: [{ jid, exists: registered }] };
+        }
+
+        if (!registered) {
+            return { error: { statusCode: 404 } };
+        }
+
+        switch (method) {
+            case 'fetchStatus':
+                return {
+                    result: {
+                        status: 'Hey there! I am using WhatsApp.',
+                        setAt: Math.floor(Date.now() / 1000) - 365 * DAY_SECONDS
+                    }
+                };
+            case 'profilePictureUrl':
+                return { result: `https://pps.whatsapp.net/mock/${jid.split('@')[0]}.jpg` };
+            default:
+                return { result: undefined };
+        }
+    }
+
+    _clearCursors(jid) {
+        for (const key of this.cursors.keys()) {
+            if (key.startsWith(`${jid}|`)) {
+                this.cursors.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Build a Boom-shaped error like the ones Baileys throws
+     */
+    static createError(spec) {
+        if (spec instanceof Error) return spec;
+        if (typeof spec === 'string') spec = { message: spec };
+
+        const statusCode = spec.statusCode || 500;
+        const reason = STATUS_REASONS[statusCode] || 'Unknown';
+        const error = new Error(spec.message || reason);
+
+        error.isBoom = true;
+        error.data = spec.data || null;
+        error.output = {
+            statusCode,
+            payload: { statusCode, error: reason, message: error.message },
+            headers: {}
+        };
+
+        return error;
+    }
+
+    static toJID(numberOrJid) {
+        const value = String(numberOrJid);
+        return value.includes('@') ? value : value.replace(/[^0-9]/g, '') + '@s.whatsapp.net';
+    }
+}
+
+module.exports = {
+    MockConnection,
+    CONNECTION_METHODS
+};
@@ -0,0 +1,61 @@
+const { MockConnection } = require('./mock-connection');
+
+const jid = '201012345678@s.whatsapp.net';
+
+describe('MockConnection', () => {
+    test('defaults to a registered account with every probe succeeding', async () => {
+        const conn = new MockConnection();
+
+        expect(await conn.onWhatsApp(jid)).toEqual([{ jid, exists: true }]);
+        expect((await conn.fetchStatus(jid)).status).toBeTruthy();
+        expect(await conn.profilePictureUrl(jid, 'image')).toContain('201012345678');
+    });
+
+    test('unregistered scenarios answer 404 to probes', async () => {
+        const conn = new MockConnection({ scenarios: { '+20 101 234 5678': { registered: false } } });
+
+        expect(await conn.onWhatsApp(jid)).toEqual([{ jid, exists: false }]);
+        await expect(conn.fetchStatus(jid)).rejects.toMatchObject({ isBoom: true, output: { statusCode: 404 } });
+    });
+
+    test('step arrays are consumed one per call and the last step repeats', async () => {
+        const conn = new MockConnection();
+        conn.setScenario(jid, {
+            fetchStatus: [{ error: { statusCode: 429 } }, { result: { status: 'ok' } }]
+        });
+
+        await expect(conn.fetchStatus(jid)).rejects.toMatchObject({ output: { statusCode: 429 } });
+        expect(await conn.fetchStatus(jid)).toEqual({ status: 'ok' });
+        expect(await conn.fetchStatus(jid)).toEqual({ status: 'ok' });
+
+        conn.reset();
+        await expect(conn.fetchStatus(jid)).rejects.toThrow('Too Many Requests');
+    });
+
+    test('records every call with its outcome', async () => {
+        const conn = new MockConnection();
+        conn.setScenario(jid, { getBusinessProfile: { result: jid => ({ jid }) } });
+
+        await conn.getBusinessProfile(jid);
+        conn.presenceSubscribe(jid);
+
+        expect(conn.callCount('getBusinessProfile', '201012345678')).toBe(1);
+        expect(conn.getCalls({ jid })).toMatchObject([
+            { seq: 1, method: 'getBusinessProfile', outcome: 'resolved', result: { jid } },
+            { seq: 2, method: 'presenceSubscribe' }
+        ]);
+    });
+
+    test('hang steps never settle', async () => {
+        const conn = new MockConnection();
+        conn.setScenario(jid, { onWhatsApp: { hang: true } });
+
+        const outcome = await Promise.race([
+            conn.onWhatsApp(jid).then(() => 'settled'),
+            new Promise(resolve => setTimeout(() => resolve('pending'), 20))
+        ]);
+
+        expect(outcome).toBe('pending');
+        expect(conn.getCalls()[0].outcome).toBe('pending');
+    });
+});
@@ -0,0 +1,347 @@
+/**
+ * E.164 phone number parsing and validation
+ *
+ * @module @whatsapp-tools/account-validator/phone-number
+ */
+
+// ============================================================================
+// REGION METADATA
+// ============================================================================
+
+/**
+ * Per-region calling code, trunk prefix and national significant number
+ * length range [min, max]. Regions sharing a calling code list their main
+ * region first.
+ */
+const REGIONS = {
+    US: { country: 'United States', callingCode: '1', trunkPrefix: '1', lengths: [10, 10] },
+    CA: { country: 'Canada', callingCode: '1', trunkPrefix: '1', lengths: [10, 10] },
+    PR: { country: 'Puerto Rico', callingCode: '1', trunkPrefix: '1', lengths: [10, 10] },
+    DO: { country: 'Dominican Republic', callingCode: '1', trunkPrefix: '1', lengths: [10, 10] },
+    JM: { country: 'Jamaica', callingCode: '1', trunkPrefix: '1', lengths: [10, 10] },
+    TT: { country: 'Trinidad and Tobago', callingCode: '1', trunkPrefix: '1', lengths: [10, 10] },
+    RU: { country: 'Russia', callingCode: '7', trunkPrefix: '8', lengths: [10, 10] },
+    KZ: { country: 'Kazakhstan', callingCode: '7', trunkPrefix: '8', lengths: [10, 10] },
+    EG: { country: 'Egypt', callingCode: '20', trunkPrefix: '0', lengths: [8, 10] },
+    ZA: { country: 'South Africa', callingCode: '27', trunkPrefix: '0', lengths: [9, 9] },
+    GR: { country: 'Greece', callingCode: '30', trunkPrefix: null, lengths: [10, 10] },
+    NL: { country: 'Netherlands', callingCode: '31', trunkPrefix: '0', lengths: [9, 9] },
+    BE: { country: 'Belgium', callingCode: '32', trunkPrefix: '0', lengths: [8, 9] },
+    FR: { country: 'France', callingCode: '33', trunkPrefix: '0', lengths: [9, 9] },
+    ES: { country: 'Spain', callingCode: '34', trunkPrefix: null, lengths: [9, 9] },
+    HU: { country: 'Hungary', callingCode: '36', trunkPrefix: '06', lengths: [8, 9] },
+    IT: { country: 'Italy', callingCode: '39', trunkPrefix: null, lengths: [6, 11] },
+    RO: { country: 'Romania', callingCode: '40', trunkPrefix: '0', lengths: [9, 9] },
+    CH: { country: 'Switzerland', callingCode: '41', trunkPrefix: '0', lengths: [9, 9] },
+    AT: { country: 'Austria', callingCode: '43', trunkPrefix: '0', lengths: [4, 13] },
+    GB: { country: 'United Kingdom', callingCode: '44', trunkPrefix: '0', lengths: [7, 10] },
+    DK: { country: 'Denmark', callingCode: '45', trunkPrefix: null, lengths: [8, 8] },
+    SE: { country: 'Sweden', callingCode: '46', trunkPrefix: '0', lengths: [7, 10] },
+    NO: { country: 'Norway', callingCode: '47', trunkPrefix: null, lengths: [8, 8] },
+    PL: { country: 'Poland', callingCode: '48', trunkPrefix: null, lengths: [9, 9] },
+    DE: { country: 'Germany', callingCode: '49', trunkPrefix: '0', lengths: [6, 13] },
+    PE: { country: 'Peru', callingCode: '51', trunkPrefix: '0', lengths: [8, 9] },
+    MX: { country: 'Mexico', callingCode: '52', trunkPrefix: null, lengths: [10, 10] },
+    CU: { country: 'Cuba', callingCode: '53', trunkPrefix: '0', lengths: [6, 8] },
+    AR: { country: 'Argentina', callingCode: '54', trunkPrefix: '0', lengths: [10, 11] },
+    BR: { country: 'Brazil', callingCode: '55', trunkPrefix: '0', lengths: [10, 11] },
+    CL: { country: 'Chile', callingCode: '56', trunkPrefix: null, lengths: [9, 9] },
+    CO: { country: 'Colombia', callingCode: '57', trunkPrefix: null, lengths: [10, 10] },
+    VE: { country: 'Venezuela', callingCode: '58', trunkPrefix: '0', lengths: [10, 10] },
+    MY: { country: 'Malaysia', callingCode: '60', trunkPrefix: '0', lengths: [8, 10] },
+    AU: { country: 'Australia', callingCode: '61', trunkPrefix: '0', lengths: [9, 9] },
+    ID: { country: 'Indonesia', callingCode: '62', trunkPrefix: '0', lengths: [8, 12] },
+    PH: { country: 'Philippines', callingCode: '63', trunkPrefix: '0', lengths: [8, 10] },
+    NZ: { country: 'New Zealand', callingCode: '64', trunkPrefix: '0', lengths: [8, 10] },
+    SG: { country: 'Singapore', callingCode: '65', trunkPrefix: null, lengths: [8, 8] },
+    TH: { country: 'Thailand', callingCode: '66', trunkPrefix: '0', lengths: [8, 9] },
+    JP: { country: 'Japan', callingCode: '81', trunkPrefix: '0', lengths: [9, 10] },
+    KR: { country: 'South Korea', callingCode: '82', trunkPrefix: '0', lengths: [8, 10] },
+    VN: { country: 'Vietnam', callingCode: '84', trunkPrefix: '0', lengths: [9, 10] },
+    CN: { country: 'China', callingCode: '86', trunkPrefix: '0', lengths: [10, 11] },
+    TR: { country: 'Turkey', callingCode: '90', trunkPrefix: '0', lengths: [10, 10] },
+    IN: { country: 'India', callingCode: '91', trunkPrefix: '0', lengths: [10, 10] },
+    PK: { country: 'Pakistan', callingCode: '92', trunkPrefix: '0', lengths: [9, 10] },
+    AF: { country: 'Afghanistan', callingCode: '93', trunkPrefix: '0', lengths: [9, 9] },
+    LK: { country: 'Sri Lanka', callingCode: '94', trunkPrefix: '0', lengths: [9, 9] },
+    MM: { country: 'Myanmar', callingCode: '95', trunkPrefix: '0', lengths: [7, 10] },
+    IR: { country: 'Iran', callingCode: '98', trunkPrefix: '0', lengths: [10, 10] },
+    SS: { country: 'South Sudan', callingCode: '211', trunkPrefix: '0', lengths: [9, 9] },
+    MA: { country: 'Morocco', callingCode: '212', trunkPrefix: '0', lengths: [9, 9] },
+    DZ: { country: 'Algeria', callingCode: '213', trunkPrefix: '0', lengths: [8, 9] },
+    TN: { country: 'Tunisia', callingCode: '216', trunkPrefix: null, lengths: [8, 8] },
+    LY: { country: 'Libya', callingCode: '218', trunkPrefix: '0', lengths: [8, 9] },
+    SN: { country: 'Senegal', callingCode: '221', trunkPrefix: null, lengths: [9, 9] },
+    CI: { country: 'Ivory Coast', callingCode: '225', trunkPrefix: null, lengths: [10, 10] },
+    GH: { country: 'Ghana', callingCode: '233', trunkPrefix: '0', lengths: [9, 9] },
+    NG: { country: 'Nigeria', callingCode: '234', trunkPrefix: '0', lengths: [8, 10] },
+    CM: { country: 'Cameroon', callingCode: '237', trunkPrefix: null, lengths: [9, 9] },
+    SD: { country: 'Sudan', callingCode: '249', trunkPrefix: '0', lengths: [9, 9] },
+    ET: { country: 'Ethiopia', callingCode: '251', trunkPrefix: '0', lengths: [9, 9] },
+    KE: { country: 'Kenya', callingCode: '254', trunkPrefix: '0', lengths: [9, 9] },
+    TZ: { country: 'Tanzania', callingCode: '255', trunkPrefix: '0', lengths: [9, 9] },
+    UG: { country: 'Uganda', callingCode: '256', trunkPrefix: '0', lengths: [9, 9] },
+    ZM: { country: 'Zambia', callingCode: '260', trunkPrefix: '0', lengths: [9, 9] },
+    ZW: { country: 'Zimbabwe', callingCode: '263', trunkPrefix: '0', lengths: [9, 9] },
+    PT: { country: 'Portugal', callingCode: '351', trunkPrefix: null, lengths: [9, 9] },
+    LU: { country: 'Luxembourg', callingCode: '352', trunkPrefix: null, lengths: [4, 11] },
+    IE: { country: 'Ireland', callingCode: '353', trunkPrefix: '0', lengths: [7, 9] },
+    IS: { country: 'Iceland', callingCode: '354', trunkPrefix: null, lengths: [7, 7] },
+    AL: { country: 'Albania', callingCode: '355', trunkPrefix: '0', lengths: [8, 9] },
+    CY: { country: 'Cyprus', callingCode: '357', trunkPrefix: null, lengths: [8, 8] },
+    FI: { country: 'Finland', callingCode: '358', trunkPrefix: '0', lengths: [5, 12] },
+    BG: { country: 'Bulgaria', callingCode: '359', trunkPrefix: '0', lengths: [8, 9] },
+    LT: { country: 'Lithuania', callingCode: '370', trunkPrefix: '8', lengths: [8, 8] },
+    LV: { country: 'Latvia', callingCode: '371', trunkPrefix: null, lengths: [8, 8] },
+    EE: { country: 'Estonia', callingCode: '372', trunkPrefix: null, lengths: [7, 8] },
+    UA: { country: 'Ukraine', callingCode: '380', trunkPrefix: '0', lengths: [9, 9] },
+    RS: { country: 'Serbia', callingCode: '381', trunkPrefix: '0', lengths: [8, 9] },
+    HR: { country: 'Croatia', callingCode: '385', trunkPrefix: '0', lengths: [8, 9] },
+    SI: { country: 'Slovenia', callingCode: '386', trunkPrefix: '0', lengths: [8, 8] },
+    CZ: { country: 'Czech Republic', callingCode: '420', trunkPrefix: null, lengths: [9, 9] },
+    SK: { country: 'Slovakia', callingCode: '421', trunkPrefix: '0', lengths: [9, 9] },
+    HK: { country: 'Hong Kong', callingCode: '852', trunkPrefix: null, lengths: [8, 8] },
+    MO: { country: 'Macau', callingCode: '853', trunkPrefix: null, lengths: [8, 8] },
+    KH: { country: 'Cambodia', callingCode: '855', trunkPrefix: '0', lengths: [8, 9] },
+    BD: { country: 'Bangladesh', callingCode: '880', trunkPrefix: '0', lengths: [10, 10] },
+    TW: { country: 'Taiwan', callingCode: '886', trunkPrefix: '0', lengths: [8, 9] },
+    MV: { country: 'Maldives', callingCode: '960', trunkPrefix: null, lengths: [7, 7] },
+    LB: { country: 'Lebanon', callingCode: '961', trunkPrefix: '0', lengths: [7, 8] },
+    JO: { country: 'Jordan', callingCode: '962', trunkPrefix: '0', lengths: [8, 9] },
+    SY: { country: 'Syria', callingCode: '963', trunkPrefix: '0', lengths: [8, 9] },
+    IQ: { country: 'Iraq', callingCode: '964', trunkPrefix: '0', lengths: [8, 10] },
+    KW: { country: 'Kuwait', callingCode: '965', trunkPrefix: null, lengths: [8, 8] },
+    SA: { country: 'Saudi Arabia', callingCode: '966', trunkPrefix: '0', lengths: [8, 9] },
+    YE: { country: 'Yemen', callingCode: '967', trunkPrefix: '0', lengths: [7, 9] },
+    OM: { country: 'Oman', callingCode: '968', trunkPrefix: null, lengths: [8, 8] },
+    PS: { country: 'Palestine', callingCode: '970', trunkPrefix: '0', lengths: [8, 9] },
+    AE: { country: 'United Arab Emirates', callingCode: '971', trunkPrefix: '0', lengths: [8, 9] },
+    IL: { country: 'Israel', callingCode: '972', trunkPrefix: '0', lengths: [8, 9] },
+    BH: { country: 'Bahrain', callingCode: '973', trunkPrefix: null, lengths: [8, 8] },
+    QA: { country: 'Qatar', callingCode: '974', trunkPrefix: null, lengths: [7, 8] },
+    MN: { country: 'Mongolia', callingCode: '976', trunkPrefix: '0', lengths: [8, 8] },
+    NP: { country: 'Nepal', callingCode: '977', trunkPrefix: '0', lengths: [8, 10] },
+    TJ: { country: 'Tajikistan', callingCode: '992', trunkPrefix: null, lengths: [9, 9] },
+    TM: { country: 'Turkmenistan', callingCode: '993', trunkPrefix: '8', lengths: [8, 8] },
+    AZ: { country: 'Azerbaijan', callingCode: '994', trunkPrefix: '0', lengths: [9, 9] },
+    GE: { country: 'Georgia', callingCode: '995', trunkPrefix: '0', lengths: [9, 9] },
+    KG: { country: 'Kyrgyzstan', callingCode: '996', trunkPrefix: '0', lengths: [9, 9] },
+    UZ: { country: 'Uzbekistan', callingCode: '998', trunkPrefix: null, lengths: [9, 9] }
+};
+
+// Calling code -> regions sharing it, main region first
+const CALLING_CODES = {};
+for (const [region, meta] of Object.entries(REGIONS)) {
+    (CALLING_CODES[meta.callingCode] = CALLING_CODES[meta.callingCode] || []).push(region);
+}
+
+/**
+ * Every other assigned ITU-T calling code. Numbers under these codes have no
+ * region metadata, so only the E.164 length limits are checked.
+ */
+const UNLISTED_CALLING_CODES = new Set([
+    '220', '222', '223', '224', '226', '227', '228', '229', '230', '231', '232', '235', '236', '238',
+    '239', '240', '241', '242', '243', '244', '245', '246', '247', '248', '250', '252', '253', '257',
+    '258', '261', '262', '264', '265', '266', '267', '268', '269', '290', '291', '297', '298', '299',
+    '350', '356', '373', '374', '375', '376', '377', '378', '379', '382', '383', '387', '389', '423',
+    '500', '501', '502', '503', '504', '505', '506', '507', '508', '509', '590', '591', '592', '593',
+    '594', '595', '596', '597', '598', '599', '670', '672', '673', '674', '675', '676', '677', '678',
+    '679', '680', '681', '682', '683', '685', '686', '687', '688', '689', '690', '691', '692', '800',
+    '808', '850', '856', '870', '878', '881', '882', '883', '888', '975', '979'
+]);
+
+const NumberError = {
+    NOT_A_NUMBER: 'NOT_A_NUMBER',
+    INVALID_COUNTRY_CODE: 'INVALID_COUNTRY_CODE',
+    INVALID_REGION: 'INVALID_REGION',
+    MISSING_COUNTRY_CODE: 'MISSING_COUNTRY_CODE',
+    TOO_SHORT: 'TOO_SHORT',
+    TOO_LONG: 'TOO_LONG'
+};
+
+const ERROR_MESSAGES = {
+    [NumberError.NOT_A_NUMBER]: 'Input is not a phone number',
+    [NumberError.INVALID_COUNTRY_CODE]: 'Unknown country calling code',
+    [NumberError.INVALID_REGION]: 'Unknown default region',
+    [NumberError.MISSING_COUNTRY_CODE]: 'National number without a country code or default region',
+    [NumberError.TOO_SHORT]: 'Number is too short for its country',
+    [NumberError.TOO_LONG]: 'Number is too long for its country'
+};
+
+const E164_MAX_DIGITS = 15;
+const UNLISTED_MIN_DIGITS = 4;
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Parse a phone number into E.164 form with region metadata.
+ *
+ * International input (`+` or `00` prefix, or bare digits starting with a
+ * calling code) is read as-is. National input needs `defaultRegion`; its
+ * trunk prefix is stripped. A `(0)` trunk marker after the calling code is
+ * dropped. A calling code with no region metadata is accepted with only the
+ * E.164 length check and a null `region`; an unknown `defaultRegion` gives
+ * INVALID_REGION. Never throws - check `isValid` and `error` on the result.
+ */
+function parsePhoneNumber(input, options = {}) {
+    const defaultRegion = options.defaultRegion ? String(options.defaultRegion).toUpperCase() : null;
+    const raw = String(input == null ? '' : input).trim();
+
+    if (defaultRegion && !REGIONS[defaultRegion]) {
+        return invalid(raw, NumberError.INVALID_REGION);
+    }
+
+    const cleaned = raw
+        .replace(/^tel:/i, '')
+        .replace(/\(0\)/g, '')
+        .replace(/[\s\-.()/]/g, '');
+
+    if (!/^\+?\d+$/.test(cleaned)) {
+        return invalid(raw, NumberError.NOT_A_NUMBER);
+    }
+
+    if (cleaned.startsWith('+')) {
+        return parseInternational(raw, cleaned.slice(1), defaultRegion);
+    }
+
+    if (cleaned.startsWith('00')) {
+        return parseInternational(raw, cleaned.slice(2), defaultRegion);
+    }
+
+    if (!defaultRegion) {
+        return parseInternational(raw, cleaned, null);
+    }
+
+    // Bare digits with a default region: international when they already carry
+    // the region's calling code and fit its lengths, national otherwise
+    const national = parseNational(raw, cleaned, defaultRegion);
+
+    if (cleaned.startsWith(REGIONS[defaultRegion].callingCode) || !national.isValid) {
+        const international = parseInternational(raw, cleaned, defaultRegion);
+        if (international.isValid) return international;
+    }
+
+    return national;
+}
+
+function parseInternational(raw, digits, defaultRegion) {
+    if (digits.length > E164_MAX_DIGITS) {
+        return invalid(raw, NumberError.TOO_LONG);
+    }
+
+    if (digits.startsWith('0')) {
+        return invalid(raw, NumberError.MISSING_COUNTRY_CODE);
+    }
+
+    for (let size = 1; size <= 3; size++) {
+        const callingCode = digits.slice(0, size);
+        const regions = CALLING_CODES[callingCode];
+
+        if (regions) {
+            const region = regions.includes(defaultRegion) ? defaultRegion : regions[0];
+            let nationalNumber = digits.slice(size);
+            const meta = REGIONS[region];
+
+            // Tolerate a trunk prefix written after the calling code (+44 07...)
+            if (meta.trunkPrefix && nationalNumber.startsWith(meta.trunkPrefix) &&
+                nationalNumber.length > meta.lengths[1]) {
+                nationalNumber = nationalNumber.slice(meta.trunkPrefix.length);
+            }
+
+            return build(raw, region, nationalNumber);
+        }
+
+        if (UNLISTED_CALLING_CODES.has(callingCode)) {
+            return buildUnlisted(raw, callingCode, digits.slice(size));
+        }
+    }
+
+    return invalid(raw, NumberError.INVALID_COUNTRY_CODE);
+}
+
+function parseNational(raw, digits, region) {
+    const meta = REGIONS[region];
+    let nationalNumber = digits;
+
+    if (meta.trunkPrefix && nationalNumber.startsWith(meta.trunkPrefix)) {
+        nationalNumber = nationalNumber.slice(meta.trunkPrefix.length);
+    }
+
+    return build(raw, region, nationalNumber);
+}
+
+function build(raw, region, nationalNumber) {
+    const meta = REGIONS[region];
+    const [min, max] = meta.lengths;
+
+    if (nationalNumber.length < min) {
+        return invalid(raw, NumberError.TOO_SHORT, region);
+    }
+
+    if (nationalNumber.length > max || meta.callingCode.length + nationalNumber.length > E164_MAX_DIGITS) {
+        return invalid(raw, NumberError.TOO_LONG, region);
+    }
+
+    return {
+        input: raw,
+        isValid: true,
+        error: null,
+        e164: `+${meta.callingCode}${nationalNumber}`,
+        callingCode: meta.callingCode,
+        nationalNumber,
+        region,
+        country: meta.country,
+        possibleRegions: CALLING_CODES[meta.callingCode].slice()
+    };
+}
+
+function buildUnlisted(raw, callingCode, nationalNumber) {
+    if (nationalNumber.length < UNLISTED_MIN_DIGITS) {
+        return invalid(raw, NumberError.TOO_SHORT);
+    }
+
+    return {
+        input: raw,
+        isValid: true,
+        error: null,
+        e164: `+${callingCode}${nationalNumber}`,
+        callingCode,
+        nationalNumber,
+        region: null,
+        country: null,
+        possibleRegions: []
+    };
+}
+
+function invalid(raw, error, region = null) {
+    return {
+        input: raw,
+        isValid: false,
+        error,
+        message: ERROR_MESSAGES[error],
+        e164: null,
+        callingCode: region ? REGIONS[region].callingCode : null,
+        nationalNumber: null,
+        region,
+        country: region ? REGIONS[region].country : null,
+        possibleRegions: []
+    };
+}
+
+/**
+ * WhatsApp user JID for a parsed number
+ */
+function toJID(parsed) {
+    return `${parsed.callingCode}${parsed.nationalNumber}@s.whatsapp.net`;
+}
+
+module.exports = {
+    parsePhoneNumber,
+    toJID,
+    NumberError,
+    REGIONS,
+    CALLING_CODES,
+    UNLISTED_CALLING_CODES
+};
@@ -0,0 +1,65 @@
+const { parsePhoneNumber, toJID, NumberError } = require('./phone-number');
+
+describe('parsePhoneNumber', () => {
+    test('normalizes international input to E.164', () => {
+        for (const input of ['+20 101 234 5678', '0020 101 234 5678', '201012345678', 'tel:+20-101-234-5678']) {
+            const parsed = parsePhoneNumber(input);
+
+            expect(parsed.isValid).toBe(true);
+            expect(parsed.e164).toBe('+201012345678');
+            expect(parsed.region).toBe('EG');
+        }
+    });
+
+    test('strips the trunk prefix from national input', () => {
+        const parsed = parsePhoneNumber('010 1234 5678', { defaultRegion: 'eg' });
+
+        expect(parsed.e164).toBe('+201012345678');
+        expect(parsed.nationalNumber).toBe('1012345678');
+    });
+
+    test('drops a (0) trunk marker and a trunk prefix after the calling code', () => {
+        expect(parsePhoneNumber('+44 (0)20 7946 0958').e164).toBe('+442079460958');
+        expect(parsePhoneNumber('+44 020 7946 0958').e164).toBe('+442079460958');
+    });
+
+    test('prefers the default region among regions sharing a calling code', () => {
+        const parsed = parsePhoneNumber('+1 416 555 0123', { defaultRegion: 'CA' });
+
+        expect(parsed.region).toBe('CA');
+        expect(parsed.possibleRegions).toEqual(expect.arrayContaining(['US', 'CA']));
+    });
+
+    test('accepts calling codes without region metadata with a length check only', () => {
+        for (const input of ['+598 94 123 456', '+506 8312 3456', '+250 788 123 456', '+375 29 123 4567']) {
+            const parsed = parsePhoneNumber(input);
+
+            expect(parsed.isValid).toBe(true);
+            expect(parsed.region).toBeNull();
+        }
+
+        expect(parsePhoneNumber('+598 12').error).toBe(NumberError.TOO_SHORT);
+        expect(parsePhoneNumber('+598 1234 5678 9012 34').error).toBe(NumberError.TOO_LONG);
+    });
+
+    test('reports why input was rejected', () => {
+        expect(parsePhoneNumber('hello').error).toBe(NumberError.NOT_A_NUMBER);
+        expect(parsePhoneNumber('+999 1234 5678').error).toBe(NumberError.INVALID_COUNTRY_CODE);
+        expect(parsePhoneNumber('0101234567').error).toBe(NumberError.MISSING_COUNTRY_CODE);
+        expect(parsePhoneNumber('+20 12').error).toBe(NumberError.TOO_SHORT);
+        expect(parsePhoneNumber('+20 1012 3456 7890').error).toBe(NumberError.TOO_LONG);
+    });
+
+    test('returns INVALID_REGION for an unknown default region instead of throwing', () => {
+        const parsed = parsePhoneNumber('010 1234 5678', { defaultRegion: 'XX' });
+
+        expect(parsed.isValid).toBe(false);
+        expect(parsed.error).toBe(NumberError.INVALID_REGION);
+    });
+});
+
+describe('toJID', () => {
+    test('builds a user JID', () => {
+        expect(toJID(parsePhoneNumber('+201012345678'))).toBe('201012345678@s.whatsapp.net');
+    });
+});
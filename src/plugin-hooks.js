@@ -0,0 +1,24 @@
+/**
+ * Plugin hook names
+ *
+ * @module @whatsapp-tools/account-validator/plugin-hooks
+ */
+
+const PluginHook = {
+    PRE_VALIDATION: 'pre_validation',
+    POST_VALIDATION: 'post_validation',
+    PRE_PROBE: 'pre_probe',
+    POST_PROBE: 'post_probe',
+    ON_ERROR: 'on_error',
+    ON_CACHE_HIT: 'on_cache_hit',
+    BATCH_START: 'batch_start',
+    BATCH_COMPLETE: 'batch_complete'
+};
+
+// Hooks whose first `{ skip }` or `{ result }` answer short-circuits the rest
+const DECISION_HOOKS = new Set([PluginHook.PRE_VALIDATION, PluginHook.PRE_PROBE]);
+
+module.exports = {
+    PluginHook,
+    DECISION_HOOKS
+};
@@ -0,0 +1,166 @@
+const { WhatsAppValidator, MockConnection, BanType, PluginTimeoutError } = require('./index');
+
+const number = '+201012345678';
+
+describe('plugin hooks', () => {
+    let conn;
+    let validator;
+
+    beforeEach(() => {
+        conn = new MockConnection();
+        validator = new WhatsAppValidator(conn, { enableRateLimiting: false, enableCircuitBreaker: false, enableCache: false });
+    });
+
+    afterEach(() => validator.close());
+
+    function plugin(name, hooks = {}) {
+        return { name, version: '1.0.0', ...hooks };
+    }
+
+    test('runs hooks in priority order, ties in registration order', async () => {
+        const order = [];
+        const record = name => () => { order.push(name); };
+        validator.registerPlugin(plugin('b', { post_validation: record('b') }));
+        validator.registerPlugin(plugin('c', { post_validation: record('c') }));
+        validator.registerPlugin(plugin('a', { priority: -1, post_validation: record('a') }));
+
+        await validator.validate(number);
+
+        expect(order).toEqual(['a', 'b', 'c']);
+        expect(validator.getPlugins().map(p => p.name)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('pre_validation can skip a number before any probe', async () => {
+        validator.registerPlugin(plugin('opt-out', { pre_validation: () => ({ skip: true, reason: 'opted out' }) }));
+
+        const result = await validator.validate(number);
+
+        expect(result.skipped).toBe(true);
+        expect(result.summary).toBe('Skipped by plugin opt-out: opted out');
+        expect(conn.calls).toHaveLength(0);
+    });
+
+    test('pre_validation can answer for a number, and the first answer wins', async () => {
+        const later = jest.fn();
+        validator.registerPlugin(plugin('crm', { pre_validation: () => ({ result: { ban: { isBanned: true, type: BanType.SPAM } } }) }));
+        validator.registerPlugin(plugin('later', { pre_validation: later }));
+
+        const result = await validator.validate(number);
+
+        expect(result.ban).toMatchObject({ isBanned: true, type: BanType.SPAM, detectionMethods: [] });
+        expect(later).not.toHaveBeenCalled();
+    });
+
+    test('pre_probe can skip a probe or supply its response', async () => {
+        validator.registerPlugin(plugin('probes', {
+            pre_probe: ({ probe }) => {
+                if (probe === 'business_profile') return { skip: true };
+                if (probe === 'status') return { result: { status: 'from plugin', setAt: null } };
+            }
+        }));
+
+        const result = await validator.validate(number);
+        const byName = Object.fromEntries(result.diagnostics.probeResults.map(p => [p.name, p.status]));
+
+        expect(byName.business_profile).toBe('skipped');
+        expect(conn.callCount('fetchStatus')).toBe(0);
+        expect(conn.callCount('getBusinessProfile')).toBe(0);
+    });
+
+    test('on_error sees registration failures', async () => {
+        const errors = [];
+        validator.registerPlugin(plugin('errors', { on_error: ({ stage, error }) => errors.push([stage, error.output.statusCode]) }));
+        conn.setScenario(number, { onWhatsApp: { error: { statusCode: 500 } } });
+
+        await validator.validate(number);
+
+        expect(errors).toContainEqual(['registration', 500]);
+    });
+
+    test('a throwing or slow hook emits plugin_error and the pipeline moves on', async () => {
+        const failures = [];
+        validator.on('plugin_error', event => failures.push([event.plugin, event.error]));
+        validator.registerPlugin(plugin('broken', { post_validation: () => { throw new Error('boom'); } }));
+        validator.registerPlugin(plugin('slow', { timeout: 10, post_validation: () => new Promise(() => { }) }));
+
+        const result = await validator.validate(number);
+
+        expect(result.isRegistered).toBe(true);
+        expect(failures.map(([name]) => name)).toEqual(['broken', 'slow']);
+        expect(failures[1][1]).toBeInstanceOf(PluginTimeoutError);
+    });
+
+    test('unregisterPlugin() runs destroy() and stops further hooks', async () => {
+        const destroy = jest.fn();
+        const post = jest.fn();
+        validator.registerPlugin(plugin('temp', { destroy, post_validation: post }));
+
+        expect(() => validator.registerPlugin(plugin('temp'))).toThrow(/already registered/);
+        expect(await validator.unregisterPlugin('temp')).toBe(true);
+        await validator.validate(number);
+
+        expect(destroy).toHaveBeenCalledTimes(1);
+        expect(post).not.toHaveBeenCalled();
+        expect(await validator.unregisterPlugin('temp')).toBe(false);
+    });
+
+    test('registering a duplicate name throws and keeps the first plugin; unregister to replace it', async () => {
+        const first = jest.fn();
+        const second = jest.fn();
+        const onRegister = jest.fn();
+        const registered = jest.fn();
+        validator.registerPlugin(plugin('audit', { post_validation: first }));
+        validator.on('plugin_registered', registered);
+
+        expect(() => validator.registerPlugin(plugin('audit', { onRegister, post_validation: second })))
+            .toThrow('Plugin audit is already registered');
+        expect(onRegister).not.toHaveBeenCalled();
+        expect(registered).not.toHaveBeenCalled();
+        expect(validator.getPlugins()).toHaveLength(1);
+
+        await validator.validate(number);
+        expect(first).toHaveBeenCalledTimes(1);
+        expect(second).not.toHaveBeenCalled();
+
+        await validator.unregisterPlugin('audit');
+        validator.registerPlugin(plugin('audit', { post_validation: second }));
+        await validator.validate('+201012345679');
+
+        expect(first).toHaveBeenCalledTimes(1);
+        expect(second).toHaveBeenCalledTimes(1);
+    });
+
+    test('on_cache_hit fires with the cached result on a hit, and not on a miss', async () => {
+        const cached = new WhatsAppValidator(conn, { enableRateLimiting: false, enableCircuitBreaker: false });
+        const onCacheHit = jest.fn();
+        cached.registerPlugin(plugin('cache-watch', { on_cache_hit: onCacheHit }));
+
+        try {
+            const first = await cached.validate(number);
+            expect(onCacheHit).not.toHaveBeenCalled();
+
+            const second = await cached.validate(number);
+            expect(onCacheHit).toHaveBeenCalledTimes(1);
+            expect(onCacheHit).toHaveBeenCalledWith({ phoneNumber: number, jid: first.jid, result: second });
+            expect(second.number).toBe(first.number);
+            expect(conn.callCount('onWhatsApp')).toBe(1);
+
+            await cached.validate(number, { skipCache: true });
+            expect(onCacheHit).toHaveBeenCalledTimes(1);
+        } finally {
+            await cached.close();
+        }
+    });
+
+    test('batch hooks bracket a batch', async () => {
+        const events = [];
+        validator.registerPlugin(plugin('batches', {
+            batch_start: ({ total }) => events.push(['start', total]),
+            batch_complete: ({ results, aborted }) => events.push(['complete', results.length, aborted])
+        }));
+
+        await validator.validateBatch([number, '+201012345679'], { concurrency: 2 });
+
+        expect(events).toEqual([['start', 2], ['complete', 2, false]]);
+    });
+});
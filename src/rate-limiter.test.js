@@ -0,0 +1,93 @@
+const { WhatsAppValidator, RateLimiter, RateLimitMode, CancelledError, MockConnection } = require('./index');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('RateLimiter', () => {
+    test('grants at most maxRequests per window, in arrival order', async () => {
+        const limiter = new RateLimiter({ maxRequests: 2, windowMs: 50 });
+        const granted = [];
+
+        const all = [1, 2, 3].map(n => limiter.acquire().then(() => {
+            granted.push(n);
+            limiter.release();
+        }));
+
+        await sleep(10);
+        expect(granted).toEqual([1, 2]);
+
+        await Promise.all(all);
+        expect(granted).toEqual([1, 2, 3]);
+    });
+
+    test('holds waiters beyond maxConcurrent until release()', async () => {
+        const limiter = new RateLimiter({ maxRequests: 10, maxConcurrent: 1 });
+        await limiter.acquire();
+
+        let second = false;
+        const waiting = limiter.acquire().then(() => { second = true; });
+        await sleep(5);
+        expect(second).toBe(false);
+
+        limiter.release();
+        await waiting;
+        expect(second).toBe(true);
+    });
+
+    test('token bucket mode allows a burst, then refills', async () => {
+        const limiter = new RateLimiter({ mode: RateLimitMode.TOKEN_BUCKET, maxRequests: 100, windowMs: 1000, burst: 2 });
+
+        await limiter.acquire();
+        await limiter.acquire();
+        expect(limiter.getStatus().remaining).toBe(0);
+
+        const started = Date.now();
+        await limiter.acquire();
+        expect(Date.now() - started).toBeGreaterThanOrEqual(5);
+    });
+
+    test('cancel() and an aborted signal reject with CancelledError', async () => {
+        const limiter = new RateLimiter({ maxRequests: 1, windowMs: 60000 });
+        await limiter.acquire();
+
+        const cancelled = limiter.acquire();
+        cancelled.cancel();
+        await expect(cancelled).rejects.toBeInstanceOf(CancelledError);
+
+        const controller = new AbortController();
+        const aborted = limiter.acquire({ signal: controller.signal });
+        controller.abort();
+        await expect(aborted).rejects.toBeInstanceOf(CancelledError);
+
+        expect(limiter.getStatus().cancelled).toBe(2);
+        limiter.destroy();
+    });
+
+    test('destroy() clears the drain timer and rejects queued acquires', async () => {
+        const limiter = new RateLimiter({ maxRequests: 1, windowMs: 60000 });
+        await limiter.acquire();
+        const queued = limiter.acquire();
+        expect(limiter.timer).not.toBeNull();
+
+        limiter.destroy();
+
+        expect(limiter.timer).toBeNull();
+        await expect(queued).rejects.toBeInstanceOf(CancelledError);
+        await expect(limiter.acquire()).rejects.toBeInstanceOf(CancelledError);
+    });
+
+    test('the validator rejects queued validations on close()', async () => {
+        const validator = new WhatsAppValidator(new MockConnection(), {
+            rateLimit: { maxRequests: 1, windowMs: 60000 }
+        });
+
+        await validator.validate('+201012345678');
+        const queued = validator.validate('+201012345679');
+        await sleep(5);
+
+        await validator.close();
+
+        const result = await queued;
+        expect(result.aborted).toBe(true);
+        expect(validator.rateLimiter.timer).toBeNull();
+    });
+});
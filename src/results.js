@@ -0,0 +1,22 @@
+/**
+ * Helpers for reading validation results
+ *
+ * @module @whatsapp-tools/account-validator/results
+ */
+
+// Error stages after which a result says nothing about the account
+const FAILED_STAGES = ['critical', 'validate', 'registration'];
+
+/**
+ * True when the validation never reached a verdict: it failed outright, or
+ * the registration check errored or timed out. The ban type of such a
+ * result (often `permanent`) is not evidence about the account.
+ */
+function isFailedResult(result) {
+    return result.diagnostics.errorDetails.some(e => FAILED_STAGES.includes(e.stage));
+}
+
+module.exports = {
+    isFailedResult,
+    FAILED_STAGES
+};
@@ -0,0 +1,42 @@
+const { WhatsAppValidator, MockConnection, isFailedResult, renderHTMLReport } = require('./index');
+
+describe('isFailedResult', () => {
+    const number = '+201012345678';
+    let conn;
+    let validator;
+
+    beforeEach(() => {
+        conn = new MockConnection();
+        validator = new WhatsAppValidator(conn, {
+            enableRateLimiting: false,
+            enableCircuitBreaker: false,
+            enableCache: false,
+            retryOnFailure: false
+        });
+    });
+
+    afterEach(() => validator.close());
+
+    test('a verdict is not a failure, even a ban', async () => {
+        expect(isFailedResult(await validator.validate(number))).toBe(false);
+
+        conn.setScenario(number, { registered: false });
+        expect(isFailedResult(await validator.validate(number))).toBe(false);
+    });
+
+    test('a registration error is a failure', async () => {
+        conn.setScenario(number, { onWhatsApp: { error: { statusCode: 429 } } });
+        const result = await validator.validate(number);
+
+        expect(isFailedResult(result)).toBe(true);
+    });
+
+    test('the HTML report counts it as failed', async () => {
+        conn.setScenario(number, { onWhatsApp: { error: { statusCode: 429 } } });
+        const html = renderHTMLReport([await validator.validate(number)]);
+
+        expect(html).toContain('<div class="card failed"><div class="value">1</div>');
+        expect(html).toContain('data-sort="Failed">Failed</td>');
+        expect(html).not.toContain('>Not registered</td>');
+    });
+});
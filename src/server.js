@@ -0,0 +1,431 @@
+/**
+ * HTTP service mode - one WhatsAppValidator behind a small JSON API
+ *
+ * @module @whatsapp-tools/account-validator/server
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { JobState } = require('./batch-job');
+const { METRICS_CONTENT_TYPE } = require('./metrics');
+const { REGIONS } = require('./phone-number');
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// ============================================================================
+// VALIDATOR SERVER
+// ============================================================================
+
+/**
+ * REST API around one validator, built on Node's `http` module only.
+ *
+ *   POST   /validate      { number, skipCache?, defaultRegion? } -> result
+ *   POST   /batch         { numbers, concurrency?, skipCache?, defaultRegion? } -> 202 { id, ... }
+ *   GET    /batch/:id     job status, with the results finished so far
+ *   DELETE /batch/:id     cancel a running job
+ *   GET    /health        getHealth(); 503 once unhealthy
+ *   GET    /stats         cache, analytics, rate-limit and circuit stats
+ *   GET    /metrics       Prometheus text format, when `metrics` is given
+ *
+ * Every request except /health needs one of `apiKeys`, sent as `X-API-Key`
+ * or `Authorization: Bearer <key>`. Errors are `{ error: { code, message } }`.
+ * HEAD is answered on every GET route.
+ */
+class ValidatorServer {
+    constructor(validator, options = {}) {
+        this.validator = validator;
+        this.apiKeys = (options.apiKeys || []).map(hashKey);
+        this.requireAuth = options.requireAuth !== false;
+        this.publicHealth = options.publicHealth !== false;
+        this.maxBodyBytes = options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES;
+        this.maxBatchSize = options.maxBatchSize || 1000;
+        this.batchConcurrency = options.batchConcurrency || 5;
+        this.jobTTL = options.jobTTL || 3600000;
+        this.metrics = options.metrics || null;
+
+        if (this.requireAuth && this.apiKeys.length === 0) {
+            throw new Error('ValidatorServer needs apiKeys (or requireAuth: false)');
+        }
+
+        this.jobs = new Map();
+        this.routes = [
+            ['POST', /^\/validate$/, this._validate],
+            ['POST', /^\/batch$/, this._createBatch],
+            ['GET', /^\/batch\/([\w-]+)$/, this._getBatch],
+            ['DELETE', /^\/batch\/([\w-]+)$/, this._cancelBatch],
+            ['GET', /^\/health$/, this._health],
+            ['GET', /^\/stats$/, this._stats]
+        ];
+
+        if (this.metrics) {
+            this.routes.push(['GET', /^\/metrics$/, this._metrics]);
+        }
+
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    /**
+     * Start listening; resolves with the bound address
+     */
+    listen(port = 3000, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    /**
+     * Stop accepting connections and cancel running batch jobs
+     */
+    async close() {
+        for (const job of this.jobs.values()) {
+            if (job.state === JobState.RUNNING) job.controller.abort();
+        }
+
+        await new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Request handler - also usable inside an existing http server
+     */
+    async handle(req, res) {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const matches = this.routes.filter(([, pattern]) => pattern.test(url.pathname));
+
+            if (matches.length === 0) {
+                throw new HttpError(404, 'NOT_FOUND', `No route for ${url.pathname}`);
+            }
+
+            // HEAD runs the GET route; Node leaves the body out of the response
+            const method = req.method === 'HEAD' ? 'GET' : req.method;
+            const route = matches.find(([routeMethod]) => routeMethod === method);
+            if (!route) {
+                res.setHeader('Allow', matches.map(([method]) => method).join(', '));
+                throw new HttpError(405, 'METHOD_NOT_ALLOWED', `${req.method} is not allowed on ${url.pathname}`);
+            }
+
+            const [, pattern, handler] = route;
+
+            if (!(this.publicHealth && handler === this._health)) {
+                this._authenticate(req);
+            }
+
+            const params = url.pathname.match(pattern).slice(1);
+            const { status, body, text, contentType } = await handler.call(this, req, res, ...params);
+
+            if (text !== undefined) {
+                res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(text) });
+                res.end(text);
+            } else {
+                sendJSON(res, status, body);
+            }
+        } catch (error) {
+            this._sendError(res, error);
+        }
+    }
+
+    // ========== ROUTES ==========
+
+    async _validate(req, res) {
+        const body = await readJSON(req, this.maxBodyBytes);
+
+        if (typeof body.number !== 'string' || !body.number) {
+            throw new HttpError(400, 'INVALID_REQUEST', '"number" must be a non-empty string');
+        }
+
+        checkRegion(body.defaultRegion);
+
+        // A client that hangs up stops paying for its probes
+        const controller = new AbortController();
+        const onClose = () => {
+            if (!res.writableEnded) controller.abort();
+        };
+        res.on('close', onClose);
+
+        try {
+            const result = await this.validator.validate(body.number, {
+                skipCache: body.skipCache === true,
+                defaultRegion: body.defaultRegion,
+                signal: controller.signal
+            });
+            return { status: 200, body: result };
+        } finally {
+            res.removeListener('close', onClose);
+        }
+    }
+
+    async _createBatch(req) {
+        const body = await readJSON(req, this.maxBodyBytes);
+        const numbers = body.numbers;
+
+        if (!Array.isArray(numbers) || numbers.length === 0 || !numbers.every(n => typeof n === 'string')) {
+            throw new HttpError(400, 'INVALID_REQUEST', '"numbers" must be a non-empty array of strings');
+        }
+
+        if (numbers.length > this.maxBatchSize) {
+            throw new HttpError(413, 'BATCH_TOO_LARGE', `A batch may hold at most ${this.maxBatchSize} numbers`);
+        }
+
+        checkRegion(body.defaultRegion);
+
+        this._pruneJobs();
+
+        const job = {
+            id: crypto.randomUUID(),
+            state: JobState.RUNNING,
+            total: numbers.length,
+            completed: 0,
+            results: [],
+            createdAt: Date.now(),
+            finishedAt: null,
+            error: null,
+            controller: new AbortController()
+        };
+        this.jobs.set(job.id, job);
+
+        this._runJob(job, numbers, {
+            concurrency: Math.min(Number(body.concurrency) || this.batchConcurrency, this.batchConcurrency),
+            skipCache: body.skipCache === true,
+            defaultRegion: body.defaultRegion
+        });
+
+        return { status: 202, body: { ...this._describeJob(job, false), statusUrl: `/batch/${job.id}` } };
+    }
+
+    async _getBatch(req, res, id) {
+        return { status: 200, body: this._describeJob(this._findJob(id), true) };
+    }
+
+    async _cancelBatch(req, res, id) {
+        const job = this._findJob(id);
+
+        if (job.state === JobState.RUNNING) {
+            job.controller.abort();
+        }
+
+        return { status: 202, body: this._describeJob(job, false) };
+    }
+
+    async _health() {
+        const health = this.validator.getHealth();
+        return { status: health.status === 'unhealthy' ? 503 : 200, body: health };
+    }
+
+    async _stats() {
+        let running = 0;
+        for (const job of this.jobs.values()) {
+            if (job.state === JobState.RUNNING) running++;
+        }
+
+        return {
+            status: 200,
+            body: {
+                cache: await this.validator.getCacheStats(),
+                analytics: this.validator.getAnalytics(),
+                rateLimit: this.validator.getRateLimitStatus(),
+                circuit: this.validator.getCircuitStatus(),
+                jobs: { running, retained: this.jobs.size }
+            }
+        };
+    }
+
+    async _metrics() {
+        return { status: 200, text: this.metrics.render(), contentType: METRICS_CONTENT_TYPE };
+    }
+
+    // ========== JOBS ==========
+
+    async _runJob(job, numbers, options) {
+        const stream = this.validator.validateStream(numbers, {
+            ...options,
+            ordered: true,
+            signal: job.controller.signal
+        });
+
+        try {
+            for await (const result of stream) {
+                job.results.push(result);
+                job.completed++;
+            }
+            job.state = job.controller.signal.aborted ? JobState.ABORTED : JobState.COMPLETED;
+        } catch (error) {
+            job.state = JobState.FAILED;
+            job.error = error.message;
+        }
+
+        job.finishedAt = Date.now();
+    }
+
+    _findJob(id) {
+        this._pruneJobs();
+
+        const job = this.jobs.get(id);
+        if (!job) {
+            throw new HttpError(404, 'JOB_NOT_FOUND', `No batch job ${id}`);
+        }
+        return job;
+    }
+
+    _describeJob(job, withResults) {
+        const description = {
+            id: job.id,
+            state: job.state,
+            total: job.total,
+            completed: job.completed,
+            createdAt: job.createdAt,
+            finishedAt: job.finishedAt,
+            error: job.error
+        };
+
+        if (withResults) description.results = job.results;
+        return description;
+    }
+
+    /**
+     * Finished jobs are kept for `jobTTL` so clients can collect results
+     */
+    _pruneJobs() {
+        const cutoff = Date.now() - this.jobTTL;
+
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt !== null && job.finishedAt < cutoff) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+
+    // ========== AUTH & ERRORS ==========
+
+    _authenticate(req) {
+        if (!this.requireAuth) return;
+
+        const header = req.headers.authorization || '';
+        const key = req.headers['x-api-key'] || (header.startsWith('Bearer ') ? header.slice(7) : null);
+
+        if (!key) {
+            throw new HttpError(401, 'UNAUTHORIZED', 'Missing API key');
+        }
+
+        const hashed = hashKey(key);
+        if (!this.apiKeys.some(valid => crypto.timingSafeEqual(valid, hashed))) {
+            throw new HttpError(401, 'UNAUTHORIZED', 'Invalid API key');
+        }
+    }
+
+    _sendError(res, error) {
+        if (error instanceof HttpError) {
+            sendJSON(res, error.status, { error: { code: error.code, message: error.message } });
+            return;
+        }
+
+        // UnsupportedJIDError - a well-formed request for something that is not an account
+        if (error.code === 'UNSUPPORTED_JID') {
+            sendJSON(res, 422, { error: { code: error.code, message: error.message } });
+            return;
+        }
+
+        this.validator.emit('server_error', { error });
+        this.validator.logger.error({ stage: 'server', err: error }, 'Request failed');
+        sendJSON(res, 500, { error: { code: 'INTERNAL', message: 'Internal server error' } });
+    }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Comparing fixed-length digests keeps timingSafeEqual from leaking key length
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+// An unknown region is the client's mistake, not a per-number validation failure
+function checkRegion(region) {
+    if (region === undefined || region === null) return;
+
+    if (typeof region !== 'string' || !REGIONS[region.toUpperCase()]) {
+        throw new HttpError(400, 'INVALID_REQUEST', `Unknown "defaultRegion": ${JSON.stringify(region)}`);
+    }
+}
+
+function readJSON(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const type = req.headers['content-type'] || '';
+        if (!type.includes('application/json')) {
+            reject(new HttpError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Send a JSON body with Content-Type: application/json'));
+            req.resume();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        let failed = false;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes && !failed) {
+                failed = true;
+                reject(new HttpError(413, 'PAYLOAD_TOO_LARGE', `Body exceeds ${maxBytes} bytes`));
+            }
+            if (!failed) chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (failed) return;
+
+            try {
+                const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+                if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new Error('not an object');
+                }
+                resolve(body);
+            } catch (error) {
+                reject(new HttpError(400, 'INVALID_JSON', 'Body must be a JSON object'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+function sendJSON(res, status, body) {
+    if (res.headersSent) {
+        res.end();
+        return;
+    }
+
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+}
+
+/**
+ * Create a ValidatorServer and start listening
+ */
+async function startServer(validator, options = {}) {
+    const server = new ValidatorServer(validator, options);
+    await server.listen(options.port, options.host);
+    return server;
+}
+
+module.exports = {
+    ValidatorServer,
+    HttpError,
+    startServer
+};
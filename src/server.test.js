@@ -0,0 +1,166 @@
+const { WhatsAppValidator, MockConnection, ValidatorMetrics, METRICS_CONTENT_TYPE } = require('./index');
+const { startServer } = require('./server');
+
+const API_KEY = 'test-key';
+
+describe('ValidatorServer', () => {
+    let validator;
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+        validator = new WhatsAppValidator(new MockConnection(), { enableRateLimiting: false });
+        server = await startServer(validator, { port: 0, apiKeys: [API_KEY] });
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+    });
+
+    afterEach(async () => {
+        await server.close();
+        await validator.close();
+    });
+
+    function request(method, path, body, headers = { 'X-API-Key': API_KEY }) {
+        return fetch(baseUrl + path, {
+            method,
+            headers: body !== undefined ? { ...headers, 'Content-Type': 'application/json' } : headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        }).then(async res => ({ status: res.status, body: await res.json() }));
+    }
+
+    test('POST /validate responds with the result', async () => {
+        const { status, body } = await request('POST', '/validate', { number: '+201012345678' });
+
+        expect(status).toBe(200);
+        expect(body.jid).toBe('201012345678@s.whatsapp.net');
+        expect(body.isActive).toBe(true);
+    });
+
+    test('rejects requests without a valid API key', async () => {
+        const missing = await request('POST', '/validate', { number: '+201012345678' }, {});
+        const wrong = await request('POST', '/validate', { number: '+201012345678' }, { 'X-API-Key': 'nope' });
+
+        expect(missing.status).toBe(401);
+        expect(wrong.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    test('GET /health is public', async () => {
+        const { status, body } = await request('GET', '/health', undefined, {});
+
+        expect(status).toBe(200);
+        expect(body.status).toBe('healthy');
+    });
+
+    test('400 for bad input, including an unknown defaultRegion', async () => {
+        expect((await request('POST', '/validate', {})).status).toBe(400);
+        expect((await request('POST', '/batch', { numbers: [] })).status).toBe(400);
+
+        for (const path of ['/validate', '/batch']) {
+            const { status, body } = await request('POST', path, {
+                number: '0101234567',
+                numbers: ['0101234567'],
+                defaultRegion: 'XX'
+            });
+
+            expect(status).toBe(400);
+            expect(body.error.code).toBe('INVALID_REQUEST');
+        }
+    });
+
+    test('422 for a group JID', async () => {
+        const { status, body } = await request('POST', '/validate', { number: '120363021234567890@g.us' });
+
+        expect(status).toBe(422);
+        expect(body.error.code).toBe('UNSUPPORTED_JID');
+    });
+
+    test('404 and 405 for unknown routes and methods', async () => {
+        expect((await request('GET', '/nope')).status).toBe(404);
+        expect((await request('GET', '/validate')).status).toBe(405);
+        expect((await request('GET', '/metrics')).status).toBe(404);
+    });
+
+    test('POST /batch runs a job that GET /batch/:id reports', async () => {
+        const created = await request('POST', '/batch', { numbers: ['+201012345678', '+201012345679'] });
+        expect(created.status).toBe(202);
+
+        let job;
+        for (let i = 0; i < 50; i++) {
+            job = (await request('GET', created.body.statusUrl)).body;
+            if (job.state !== 'running') break;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+
+        expect(job.state).toBe('completed');
+        expect(job.results.map(r => r.jid)).toEqual(['201012345678@s.whatsapp.net', '201012345679@s.whatsapp.net']);
+    });
+});
+
+describe('ValidatorServer /stats and /metrics', () => {
+    let validator;
+    let metrics;
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+        validator = new WhatsAppValidator(new MockConnection(), { enableRateLimiting: false });
+        metrics = new ValidatorMetrics(validator);
+        server = await startServer(validator, { port: 0, apiKeys: [API_KEY], metrics });
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+
+        await validator.validate('+201012345678');
+    });
+
+    afterEach(async () => {
+        await server.close();
+        metrics.detach();
+        await validator.close();
+    });
+
+    function get(path, { method = 'GET', headers = { 'X-API-Key': API_KEY } } = {}) {
+        return fetch(baseUrl + path, { method, headers }).then(async res => ({
+            status: res.status,
+            contentType: res.headers.get('content-type'),
+            contentLength: Number(res.headers.get('content-length')),
+            text: await res.text()
+        }));
+    }
+
+    test('GET /stats reports cache, analytics, rate-limit, circuit and job stats as JSON', async () => {
+        const { status, contentType, text } = await get('/stats');
+        const body = JSON.parse(text);
+
+        expect(status).toBe(200);
+        expect(contentType).toBe('application/json; charset=utf-8');
+        expect(Object.keys(body).sort()).toEqual(['analytics', 'cache', 'circuit', 'jobs', 'rateLimit']);
+        expect(body.cache).toMatchObject({ size: 1, misses: 1 });
+        expect(body.circuit.state).toBe('closed');
+        expect(body.rateLimit).toBeNull();
+        expect(body.jobs).toEqual({ running: 0, retained: 0 });
+    });
+
+    test('GET /metrics serves the Prometheus text format', async () => {
+        const { status, contentType, contentLength, text } = await get('/metrics');
+
+        expect(status).toBe(200);
+        expect(contentType).toBe(METRICS_CONTENT_TYPE);
+        expect(contentLength).toBe(Buffer.byteLength(text));
+        expect(text).toContain('# TYPE wa_validator_validations_total counter\n');
+        expect(text).toContain('wa_validator_validations_total{ban_type="none"} 1\n');
+        expect(text).toContain('wa_validator_cache_entries 1\n');
+    });
+
+    test('HEAD /metrics sends the headers without a body', async () => {
+        const { status, contentType, contentLength, text } = await get('/metrics', { method: 'HEAD' });
+
+        expect(status).toBe(200);
+        expect(contentType).toBe(METRICS_CONTENT_TYPE);
+        expect(contentLength).toBeGreaterThan(0);
+        expect(text).toBe('');
+    });
+
+    test('/stats and /metrics need an API key', async () => {
+        expect((await get('/stats', { headers: {} })).status).toBe(401);
+        expect((await get('/metrics', { headers: {} })).status).toBe(401);
+        expect((await get('/metrics', { headers: { Authorization: `Bearer ${API_KEY}` } })).status).toBe(200);
+    });
+});
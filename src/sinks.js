@@ -0,0 +1,274 @@
+/**
+ * Result sinks - destinations results are written to as they complete
+ *
+ * A sink implements:
+ *
+ *   write(result)  -> promise, resolved once the sink can take more
+ *   flush()        -> promise, resolved once buffered results are stored
+ *   close()        -> promise; flushes, then releases resources
+ *
+ * The validator awaits write(), so a slow sink slows validation down
+ * instead of buffering results without bound.
+ *
+ * @module @whatsapp-tools/account-validator/sinks
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// NDJSON FILE SINK
+// ============================================================================
+
+/**
+ * Appends one JSON line per result. The file is opened on the first write.
+ */
+class NDJSONFileSink {
+    constructor(options = {}) {
+        if (!options.filePath) {
+            throw new Error(`${this.constructor.name} requires a filePath`);
+        }
+
+        this.name = 'ndjson';
+        this.filePath = options.filePath;
+        this.flags = options.append === false ? 'w' : 'a';
+        this.highWaterMark = options.highWaterMark || 64 * 1024;
+        this.stream = null;
+        this.closed = false;
+        this.written = 0;
+
+        // Writes are serialized, so at most one of them waits for 'drain'
+        this.queue = Promise.resolve();
+    }
+
+    write(result) {
+        if (this.closed) {
+            return Promise.reject(new Error(`Sink ${this.filePath} is closed`));
+        }
+
+        const line = JSON.stringify(result) + '\n';
+        const task = this.queue.then(() => this._write(line));
+        this.queue = task.catch(() => {});
+        return task;
+    }
+
+    async flush() {
+        await this.queue;
+        if (this.stream) await flushStream(this.stream);
+    }
+
+    async close() {
+        if (this.closed) return;
+
+        this.closed = true;
+        await this.queue;
+        if (this.stream) {
+            await endStream(this.stream);
+            this.stream = null;
+        }
+    }
+
+    async _write(line) {
+        if (!this.stream) {
+            this.stream = await openStream(this.filePath, this.flags, this.highWaterMark);
+        }
+
+        await writeLine(this.stream, line);
+        this.written++;
+    }
+}
+
+// ============================================================================
+// ROTATING FILE SINK
+// ============================================================================
+
+/**
+ * NDJSON sink that starts a new file once the current one would exceed
+ * `maxBytes`. Rotated files are renamed `<name>.1<ext>` (newest) up to
+ * `<name>.<maxFiles><ext>`; older ones are deleted.
+ */
+class RotatingFileSink extends NDJSONFileSink {
+    constructor(options = {}) {
+        super({ ...options, append: true });
+
+        this.name = 'rotating';
+        this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+        this.maxFiles = options.maxFiles !== undefined ? options.maxFiles : 5;
+        this.bytes = 0;
+        this.rotations = 0;
+    }
+
+    async _write(line) {
+        const size = Buffer.byteLength(line);
+
+        if (!this.stream) {
+            await this._open();
+        }
+
+        if (this.bytes > 0 && this.bytes + size > this.maxBytes) {
+            await this._rotate();
+        }
+
+        await writeLine(this.stream, line);
+        this.bytes += size;
+        this.written++;
+    }
+
+    async _open() {
+        this.stream = await openStream(this.filePath, 'a', this.highWaterMark);
+
+        try {
+            this.bytes = (await fs.promises.stat(this.filePath)).size;
+        } catch (error) {
+            this.bytes = 0;
+        }
+    }
+
+    async _rotate() {
+        await endStream(this.stream);
+        this.stream = null;
+
+        const ext = path.extname(this.filePath);
+        const base = this.filePath.slice(0, this.filePath.length - ext.length);
+        const rotated = n => `${base}.${n}${ext}`;
+
+        await fs.promises.rm(rotated(this.maxFiles), { force: true });
+        for (let n = this.maxFiles - 1; n >= 1; n--) {
+            await renameIfExists(rotated(n), rotated(n + 1));
+        }
+
+        if (this.maxFiles > 0) {
+            await fs.promises.rename(this.filePath, rotated(1));
+        } else {
+            await fs.promises.rm(this.filePath, { force: true });
+        }
+
+        this.rotations++;
+        await this._open();
+    }
+}
+
+// ============================================================================
+// CALLBACK SINK
+// ============================================================================
+
+/**
+ * Hands each result to a function. If it returns a promise, the next write
+ * waits for it.
+ */
+class CallbackSink {
+    constructor(callback, options = {}) {
+        if (typeof callback !== 'function') {
+            throw new Error('CallbackSink requires a callback function');
+        }
+
+        this.name = options.name || 'callback';
+        this.callback = callback;
+        this.onFlush = options.onFlush || null;
+        this.onClose = options.onClose || null;
+        this.closed = false;
+    }
+
+    async write(result) {
+        if (this.closed) {
+            throw new Error(`Sink ${this.name} is closed`);
+        }
+
+        await this.callback(result);
+    }
+
+    async flush() {
+        if (this.onFlush) await this.onFlush();
+    }
+
+    async close() {
+        if (this.closed) return;
+
+        this.closed = true;
+        if (this.onClose) await this.onClose();
+    }
+}
+
+// ============================================================================
+// STREAM HELPERS
+// ============================================================================
+
+async function openStream(filePath, flags, highWaterMark) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const stream = fs.createWriteStream(filePath, { flags, highWaterMark });
+    await new Promise((resolve, reject) => {
+        stream.once('open', resolve);
+        stream.once('error', reject);
+    });
+
+    // Kept so a failed write surfaces on the next call instead of crashing the process
+    stream.on('error', error => {
+        stream.failure = error;
+    });
+
+    return stream;
+}
+
+/**
+ * Resolves right away while the stream buffer has room, otherwise on 'drain'
+ */
+function writeLine(stream, line) {
+    return new Promise((resolve, reject) => {
+        const onError = error => {
+            stream.removeListener('drain', onDrain);
+            reject(error);
+        };
+        const onDrain = () => {
+            stream.removeListener('error', onError);
+            resolve();
+        };
+
+        if (stream.failure) {
+            reject(stream.failure);
+            return;
+        }
+
+        if (stream.write(line)) {
+            resolve();
+            return;
+        }
+
+        stream.once('drain', onDrain);
+        stream.once('error', onError);
+    });
+}
+
+function flushStream(stream) {
+    // Write callbacks run in order, so an empty write settles after all earlier ones
+    return new Promise((resolve, reject) => {
+        stream.write('', error => (error ? reject(error) : resolve()));
+    });
+}
+
+function endStream(stream) {
+    return new Promise((resolve, reject) => {
+        if (stream.failure) {
+            stream.destroy();
+            reject(stream.failure);
+            return;
+        }
+
+        stream.once('error', reject);
+        stream.end(() => resolve());
+    });
+}
+
+async function renameIfExists(from, to) {
+    try {
+        await fs.promises.rename(from, to);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+module.exports = {
+    NDJSONFileSink,
+    RotatingFileSink,
+    CallbackSink
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WhatsAppValidator, MockConnection, CallbackSink, NDJSONFileSink, RotatingFileSink } = require('./index');
+
+function collector() {
+    const written = [];
+    const sink = new CallbackSink(result => { written.push(result.number); });
+    sink.flush = jest.fn(sink.flush.bind(sink));
+    sink.close = jest.fn(sink.close.bind(sink));
+    return { sink, written };
+}
+
+describe('result sinks', () => {
+    let validator;
+    let configured;
+
+    beforeEach(() => {
+        configured = collector();
+        validator = new WhatsAppValidator(new MockConnection({ defaultScenario: { latency: 10 } }), {
+            enableRateLimiting: false,
+            sinks: [configured.sink]
+        });
+    });
+
+    afterEach(() => validator.close());
+
+    test('coalesced calls write the shared result to the configured sinks once', async () => {
+        const [a, b] = await Promise.all([
+            validator.validate('+201012345678'),
+            validator.validate('201012345678@s.whatsapp.net')
+        ]);
+
+        expect(a).toBe(b);
+        expect(configured.written).toEqual(['+201012345678']);
+    });
+
+    test('each coalesced caller still gets the result in its own sinks', async () => {
+        const first = collector();
+        const second = collector();
+
+        await Promise.all([
+            validator.validate('+201012345678', { sinks: [first.sink] }),
+            validator.validate('+201012345678', { sinks: [second.sink] })
+        ]);
+
+        expect(first.written).toHaveLength(1);
+        expect(second.written).toHaveLength(1);
+    });
+
+    test('a single validate() closes its per-call sinks but not the configured ones', async () => {
+        const perCall = collector();
+        await validator.validate('+201012345678', { sinks: [perCall.sink] });
+
+        expect(perCall.sink.close).toHaveBeenCalledTimes(1);
+        expect(configured.sink.close).not.toHaveBeenCalled();
+    });
+
+    test('per-call sinks are closed when validate() rejects', async () => {
+        const perCall = collector();
+
+        await expect(validator.validate('120363021234567890@g.us', { sinks: [perCall.sink] })).rejects.toThrow();
+        expect(perCall.sink.close).toHaveBeenCalledTimes(1);
+    });
+
+    test('a batch writes every result, then closes its sinks once', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-sinks-'));
+        const filePath = path.join(dir, 'results.ndjson');
+
+        try {
+            const sink = new NDJSONFileSink({ filePath });
+            await validator.validateBatch(['+201012345678', '+201012345679', '12'], {
+                concurrency: 2,
+                sinks: [sink]
+            });
+
+            const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            expect(lines.map(r => r.number).sort()).toEqual(['+201012345678', '+201012345679', '12']);
+            expect(sink.closed).toBe(true);
+            expect(configured.written).toHaveLength(3);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test.each([
+        ['pooled', { concurrency: 2 }],
+        ['chunked', { batchSize: 5 }]
+    ])('a %s batch finishes its sinks exactly once', async (mode, options) => {
+        const perCall = collector();
+        await validator.validateBatch(['+201012345678', '+201012345679', '+201012345680'], {
+            ...options,
+            sinks: [perCall.sink]
+        });
+
+        expect(perCall.written).toHaveLength(3);
+        expect(perCall.sink.close).toHaveBeenCalledTimes(1);
+        expect(configured.sink.flush).toHaveBeenCalledTimes(1);
+        expect(configured.sink.close).not.toHaveBeenCalled();
+    });
+
+    test('a failing sink emits sink_error and does not fail the validation', async () => {
+        const failing = new CallbackSink(() => { throw new Error('disk full'); });
+        const errors = [];
+        validator.on('sink_error', event => errors.push(event.error.message));
+
+        const result = await validator.validate('+201012345678', { sinks: [failing] });
+
+        expect(result.isActive).toBe(true);
+        expect(errors).toEqual(['disk full']);
+    });
+});
+
+describe('RotatingFileSink', () => {
+    let dir;
+
+    // Fixed-size records, so maxBytes can be given in whole lines
+    const record = i => ({ number: `+2010123456${String(i).padStart(2, '0')}`, ban: { type: 'none' } });
+    const lineSize = Buffer.byteLength(JSON.stringify(record(0)) + '\n');
+    const readNumbers = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).number);
+
+    async function writeAll(sink, count) {
+        for (let i = 0; i < count; i++) {
+            await sink.write(record(i));
+        }
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-rotating-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('starts a new file once the current one would exceed maxBytes', async () => {
+        const filePath = path.join(dir, 'results.ndjson');
+        const sink = new RotatingFileSink({ filePath, maxBytes: 2 * lineSize, maxFiles: 5 });
+
+        await writeAll(sink, 5);
+        await sink.close();
+
+        expect(sink.rotations).toBe(2);
+        expect(sink.written).toBe(5);
+        expect(readNumbers(path.join(dir, 'results.2.ndjson'))).toEqual([record(0).number, record(1).number]);
+        expect(readNumbers(path.join(dir, 'results.1.ndjson'))).toEqual([record(2).number, record(3).number]);
+        expect(readNumbers(filePath)).toEqual([record(4).number]);
+    });
+
+    test('keeps at most maxFiles rotated files and deletes older ones', async () => {
+        const filePath = path.join(dir, 'results.ndjson');
+        const sink = new RotatingFileSink({ filePath, maxBytes: 2 * lineSize, maxFiles: 2 });
+
+        await writeAll(sink, 7);
+        await sink.close();
+
+        expect(fs.readdirSync(dir).sort()).toEqual(['results.1.ndjson', 'results.2.ndjson', 'results.ndjson']);
+        expect(readNumbers(path.join(dir, 'results.2.ndjson'))).toEqual([record(2).number, record(3).number]);
+        expect(readNumbers(filePath)).toEqual([record(6).number]);
+    });
+
+    test('numbers rotated files before the extension, or at the end without one', async () => {
+        const filePath = path.join(dir, 'results');
+        const sink = new RotatingFileSink({ filePath, maxBytes: lineSize });
+
+        await writeAll(sink, 3);
+        await sink.close();
+
+        expect(fs.readdirSync(dir).sort()).toEqual(['results', 'results.1', 'results.2']);
+    });
+
+    test('deletes the full file instead of keeping it when maxFiles is 0', async () => {
+        const filePath = path.join(dir, 'results.ndjson');
+        const sink = new RotatingFileSink({ filePath, maxBytes: lineSize, maxFiles: 0 });
+
+        await writeAll(sink, 3);
+        await sink.close();
+
+        expect(fs.readdirSync(dir)).toEqual(['results.ndjson']);
+        expect(readNumbers(filePath)).toEqual([record(2).number]);
+    });
+
+    test('appends to an existing file and counts its size toward maxBytes', async () => {
+        const filePath = path.join(dir, 'results.ndjson');
+        fs.writeFileSync(filePath, JSON.stringify(record(99)) + '\n');
+        const sink = new RotatingFileSink({ filePath, maxBytes: 2 * lineSize });
+
+        await writeAll(sink, 2);
+        await sink.close();
+
+        expect(readNumbers(path.join(dir, 'results.1.ndjson'))).toEqual([record(99).number, record(0).number]);
+        expect(readNumbers(filePath)).toEqual([record(1).number]);
+    });
+
+    test('opens the file on the first write, and flush() makes written lines readable', async () => {
+        const filePath = path.join(dir, 'results.ndjson');
+        const sink = new RotatingFileSink({ filePath });
+
+        expect(fs.existsSync(filePath)).toBe(false);
+
+        await writeAll(sink, 2);
+        await sink.flush();
+
+        expect(sink.closed).toBe(false);
+        expect(readNumbers(filePath)).toEqual([record(0).number, record(1).number]);
+
+        await sink.close();
+    });
+
+    test('close() ends the file once and rejects later writes', async () => {
+        const filePath = path.join(dir, 'results.ndjson');
+        const sink = new RotatingFileSink({ filePath });
+
+        await writeAll(sink, 1);
+        await sink.close();
+        await sink.close();
+
+        expect(sink.closed).toBe(true);
+        expect(sink.stream).toBeNull();
+        expect(readNumbers(filePath)).toEqual([record(0).number]);
+        await expect(sink.write(record(1))).rejects.toThrow('is closed');
+    });
+});
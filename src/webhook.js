@@ -0,0 +1,445 @@
+/**
+ * Webhook notifier plugin
+ *
+ * Posts validation verdicts to an HTTP endpoint: registered numbers from the
+ * `post_validation` hook, unregistered ones from the validator's
+ * `not_registered` event. Deliveries are batched, signed with HMAC-SHA256,
+ * retried with exponential backoff, and written to a dead-letter file when
+ * they cannot be delivered.
+ *
+ * @module @whatsapp-tools/account-validator/webhook
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const PAYLOAD_VERSION = 1;
+
+const WebhookEvent = {
+    VALIDATION: 'validation_complete',
+    STATUS_CHANGED: 'status_changed'
+};
+
+const SIGNATURE_HEADER = 'x-wa-validator-signature';
+const TIMESTAMP_HEADER = 'x-wa-validator-timestamp';
+const DELIVERY_HEADER = 'x-wa-validator-delivery';
+
+// Statuses worth another attempt; any other non-2xx is dead-lettered at once
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+class WebhookDeliveryError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'WebhookDeliveryError';
+        this.status = status;
+    }
+}
+
+// ============================================================================
+// WEBHOOK NOTIFIER
+// ============================================================================
+
+/**
+ * Payload (version 1):
+ *
+ *   { version, id, sentAt, source, events: [{ id, type, occurredAt, number,
+ *     jid, isRegistered, ban, review, previous, result? }] }
+ *
+ * `previous` is the last verdict seen for the JID (`{ banType, isBanned,
+ * reviewAvailable }`) or null. With a `secret`, each request carries
+ * `X-WA-Validator-Signature: sha256=<hex>`, the HMAC of
+ * `<timestamp>.<body>`, and the timestamp in `X-WA-Validator-Timestamp`.
+ */
+class WebhookNotifier {
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('WebhookNotifier requires a url');
+        }
+
+        this.name = options.name || 'webhook-notifier';
+        this.version = '1.0.0';
+
+        this.url = new URL(options.url);
+        this.secret = options.secret || null;
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 10000;
+
+        // Filters
+        this.onlyBanned = options.onlyBanned || false;
+        this.onlyChanges = options.onlyChanges || false;
+        this.banTypes = options.banTypes || null;
+        this.filter = options.filter || null;
+        this.includeResult = options.includeResult || false;
+
+        // Batching
+        this.batchSize = options.batchSize || 10;
+        this.flushInterval = options.flushInterval !== undefined ? options.flushInterval : 1000;
+        this.maxQueueSize = options.maxQueueSize || 10000;
+
+        // Retries
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+        this.initialDelay = options.initialDelay || 1000;
+        this.maxDelay = options.maxDelay || 60000;
+        this.backoffFactor = options.backoffFactor || 2;
+
+        this.deadLetterPath = options.deadLetterPath || null;
+
+        // destroy() keeps retrying for this long before dead-lettering
+        this.drainTimeout = options.drainTimeout !== undefined ? options.drainTimeout : 30000;
+        this.hookTimeouts = { destroy: this.drainTimeout + this.timeout };
+
+        this.validator = null;
+        this.queue = [];
+        this.lastStates = new Map();
+        this.timer = null;
+        this.sending = Promise.resolve();
+        this.controller = new AbortController();
+        this.stats = { queued: 0, delivered: 0, retries: 0, deadLettered: 0, dropped: 0 };
+        this._onNotRegistered = ({ result }) => {
+            this._notify(result).catch(error => {
+                this._log('error', { plugin: this.name, stage: 'webhook', err: error }, 'Webhook event failed');
+            });
+        };
+    }
+
+    onRegister(validator) {
+        this.validator = validator;
+        validator.on('not_registered', this._onNotRegistered);
+    }
+
+    post_validation(result) {
+        return this._notify(result);
+    }
+
+    /**
+     * Send everything queued now; resolves once those deliveries finished
+     * (delivered or dead-lettered)
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.queue.length > 0) {
+            const events = this.queue.splice(0, this.batchSize);
+            this.sending = this.sending.then(() => this._deliver(events));
+        }
+
+        return this.sending;
+    }
+
+    /**
+     * Flush, then stop. Deliveries keep retrying for up to `drainTimeout`
+     * ms; whatever is still waiting to retry after that is dead-lettered.
+     */
+    async destroy() {
+        if (this.validator) this.validator.removeListener('not_registered', this._onNotRegistered);
+
+        const pending = this.flush();
+        const deadline = setTimeout(() => this.controller.abort(), this.drainTimeout);
+
+        try {
+            await pending;
+        } finally {
+            clearTimeout(deadline);
+            this.controller.abort();
+        }
+    }
+
+    getStats() {
+        return { ...this.stats, pending: this.queue.length };
+    }
+
+    // ========== EVENTS ==========
+
+    async _notify(result) {
+        const previous = await this._previousState(result);
+        const current = stateOf(result);
+        this.lastStates.set(result.jid, current);
+
+        const changed = previous !== null &&
+            (previous.banType !== current.banType || previous.reviewAvailable !== current.reviewAvailable);
+
+        if (!this._accepts(result, changed)) return;
+
+        this._enqueue(this._buildEvent(result, previous, changed));
+    }
+
+    _accepts(result, changed) {
+        if (this.onlyBanned && !result.ban.isBanned) return false;
+        if (this.onlyChanges && !changed) return false;
+        if (this.banTypes && !this.banTypes.includes(result.ban.type)) return false;
+        if (this.filter && !this.filter(result, { changed })) return false;
+        return true;
+    }
+
+    /**
+     * Last verdict for the JID - our own, else the validator's status history
+     * (the current verdict is recorded there only after post_validation
+     * and not_registered)
+     */
+    async _previousState(result) {
+        if (this.lastStates.has(result.jid)) return this.lastStates.get(result.jid);
+
+        if (this.validator && this.validator.statusHistory) {
+            const entries = await this.validator.statusHistory.getHistory(result.jid);
+            const last = entries[entries.length - 1];
+            if (last) {
+                return { banType: last.ban.type, isBanned: last.ban.isBanned, reviewAvailable: last.review.available };
+            }
+        }
+
+        return null;
+    }
+
+    _buildEvent(result, previous, changed) {
+        const event = {
+            id: crypto.randomUUID(),
+            type: changed ? WebhookEvent.STATUS_CHANGED : WebhookEvent.VALIDATION,
+            occurredAt: new Date(result.timestamp).toISOString(),
+            number: result.phone && result.phone.e164 ? result.phone.e164 : result.number,
+            jid: result.jid,
+            isRegistered: result.isRegistered,
+            ban: {
+                isBanned: result.ban.isBanned,
+                type: result.ban.type,
+                detectionMethods: [...result.ban.detectionMethods]
+            },
+            review: { ...result.review },
+            previous
+        };
+
+        if (this.includeResult) {
+            event.result = JSON.parse(JSON.stringify(result));
+        }
+
+        return event;
+    }
+
+    _enqueue(event) {
+        if (this.queue.length >= this.maxQueueSize) {
+            const dropped = this.queue.shift();
+            this.stats.dropped++;
+            this._writeDeadLetter(this._envelope([dropped]), 'queue_full', 0, null);
+        }
+
+        this.queue.push(event);
+        this.stats.queued++;
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+            this.timer.unref();
+        }
+    }
+
+    _envelope(events) {
+        return {
+            version: PAYLOAD_VERSION,
+            id: crypto.randomUUID(),
+            sentAt: new Date().toISOString(),
+            source: this.name,
+            events
+        };
+    }
+
+    // ========== DELIVERY ==========
+
+    async _deliver(events) {
+        const payload = this._envelope(events);
+        const body = JSON.stringify(payload);
+        let lastError = null;
+        let attempt = 0;
+        let reason = 'delivery_failed';
+
+        while (attempt <= this.maxRetries) {
+            attempt++;
+
+            try {
+                const status = await this._post(body, payload.id);
+                this.stats.delivered += events.length;
+                this._emit('webhook_delivered', { plugin: this.name, id: payload.id, events: events.length, attempts: attempt, status });
+                return;
+            } catch (error) {
+                lastError = error;
+            }
+
+            if (lastError.status && !RETRYABLE_STATUSES.has(lastError.status)) {
+                reason = 'rejected';
+                break;
+            }
+            if (attempt > this.maxRetries) break;
+
+            this.stats.retries++;
+            this._log('warn', {
+                plugin: this.name,
+                stage: 'webhook',
+                attempt,
+                code: lastError.status || lastError.code,
+                err: lastError
+            }, 'Webhook delivery failed, retrying');
+
+            const delay = Math.max(
+                this.initialDelay * Math.pow(this.backoffFactor, attempt - 1),
+                lastError.retryAfter || 0
+            );
+            if (!await this._sleep(Math.min(delay, this.maxDelay))) {
+                reason = 'shutdown';
+                break;
+            }
+        }
+
+        await this._writeDeadLetter(payload, reason, attempt, lastError);
+    }
+
+    _post(body, deliveryId) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = {
+            ...this.headers,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': `wa-validator-webhook/${this.version}`,
+            [DELIVERY_HEADER]: deliveryId,
+            [TIMESTAMP_HEADER]: timestamp
+        };
+
+        if (this.secret) {
+            headers[SIGNATURE_HEADER] = signPayload(this.secret, body, timestamp);
+        }
+
+        const transport = this.url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(this.url, { method: 'POST', headers, timeout: this.timeout }, res => {
+                res.resume();
+                res.on('end', () => {
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        resolve(res.statusCode);
+                        return;
+                    }
+
+                    const error = new WebhookDeliveryError(`Webhook responded ${res.statusCode}`, res.statusCode);
+                    error.retryAfter = parseRetryAfter(res.headers['retry-after']);
+                    reject(error);
+                });
+            });
+
+            req.on('timeout', () => req.destroy(new WebhookDeliveryError(`Webhook timed out after ${this.timeout}ms`)));
+            req.on('error', error => reject(error instanceof WebhookDeliveryError ? error : Object.assign(error, { status: null })));
+            req.end(body);
+        });
+    }
+
+    /**
+     * Resolves false when destroy() cut the wait short
+     */
+    _sleep(ms) {
+        const signal = this.controller.signal;
+        if (signal.aborted) return Promise.resolve(false);
+
+        return new Promise(resolve => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve(false);
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(true);
+            }, ms);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    async _writeDeadLetter(payload, reason, attempts, error) {
+        this.stats.deadLettered += payload.events.length;
+
+        const record = {
+            failedAt: new Date().toISOString(),
+            reason,
+            attempts,
+            status: error ? error.status || null : null,
+            error: error ? error.message : null,
+            payload
+        };
+
+        this._emit('webhook_dead_letter', { plugin: this.name, id: payload.id, events: payload.events.length, reason, error });
+        this._log('error', {
+            plugin: this.name,
+            stage: 'webhook',
+            attempt: attempts,
+            code: reason,
+            err: error || undefined
+        }, 'Webhook delivery abandoned');
+
+        if (!this.deadLetterPath) return;
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.deadLetterPath), { recursive: true });
+            await fs.promises.appendFile(this.deadLetterPath, JSON.stringify(record) + '\n');
+        } catch (writeError) {
+            this._log('error', { plugin: this.name, stage: 'webhook', err: writeError }, 'Dead-letter write failed');
+        }
+    }
+
+    _emit(event, data) {
+        if (this.validator) this.validator.emit(event, data);
+    }
+
+    _log(level, fields, message) {
+        if (this.validator) this.validator.logger[level](fields, message);
+    }
+}
+
+// ============================================================================
+// SIGNATURES
+// ============================================================================
+
+/**
+ * `sha256=<hex>` HMAC of `<timestamp>.<body>`
+ */
+function signPayload(secret, body, timestamp) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a delivery on the receiving side. `body` must be the raw request
+ * body; `tolerance` (seconds) rejects replays of old deliveries.
+ */
+function verifyWebhookSignature(secret, body, signature, timestamp, options = {}) {
+    const tolerance = options.tolerance !== undefined ? options.tolerance : 300;
+    const now = options.now !== undefined ? options.now : Math.floor(Date.now() / 1000);
+
+    if (!signature || !timestamp) return false;
+    if (tolerance && Math.abs(now - Number(timestamp)) > tolerance) return false;
+
+    const expected = Buffer.from(signPayload(secret, body, timestamp));
+    const actual = Buffer.from(String(signature));
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function stateOf(result) {
+    return { banType: result.ban.type, isBanned: result.ban.isBanned, reviewAvailable: result.review.available };
+}
+
+function parseRetryAfter(value) {
+    if (!value) return 0;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+module.exports = {
+    WebhookNotifier,
+    WebhookDeliveryError,
+    WebhookEvent,
+    signPayload,
+    verifyWebhookSignature,
+    WEBHOOK_PAYLOAD_VERSION: PAYLOAD_VERSION
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { WhatsAppValidator, MockConnection, WebhookNotifier, BanType, verifyWebhookSignature } = require('./index');
+
+const number = '+201012345678';
+
+/**
+ * Local endpoint answering with `statuses` in turn (then 200)
+ */
+function startReceiver(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+            res.statusCode = statuses.length ? statuses.shift() : 200;
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` });
+        });
+    });
+}
+
+describe('WebhookNotifier', () => {
+    let receiver;
+    let conn;
+    let validator;
+    let dir;
+
+    beforeEach(() => {
+        conn = new MockConnection();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-webhook-'));
+    });
+
+    afterEach(async () => {
+        await validator.close();
+        await new Promise(resolve => receiver.server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function setup(options = {}) {
+        const webhook = new WebhookNotifier({ url: receiver.url, secret: 's3cret', initialDelay: 10, ...options });
+        validator = new WhatsAppValidator(conn, {
+            enableRateLimiting: false,
+            enableCircuitBreaker: false,
+            enableCache: false,
+            retryOnFailure: false,
+            plugins: [webhook]
+        });
+        return webhook;
+    }
+
+    test('posts signed verdicts, including unregistered numbers', async () => {
+        receiver = await startReceiver();
+        const webhook = setup();
+
+        await validator.validate(number);
+        conn.setScenario(number, { registered: false });
+        await validator.validate(number);
+        await webhook.flush();
+
+        const { headers, body } = receiver.requests[0];
+        const events = JSON.parse(body).events;
+
+        expect(verifyWebhookSignature('s3cret', body, headers['x-wa-validator-signature'], headers['x-wa-validator-timestamp'])).toBe(true);
+        expect(events.map(e => e.ban.type)).toEqual([BanType.NONE, BanType.PERMANENT]);
+        expect(events[1]).toMatchObject({ type: 'status_changed', isRegistered: false });
+    });
+
+    test('post_validation only runs for registered numbers', async () => {
+        receiver = await startReceiver();
+        setup();
+        const seen = [];
+        validator.registerPlugin({ name: 'spy', version: '1.0.0', post_validation: result => seen.push(result.ban.type) });
+
+        await validator.validate(number);
+        conn.setScenario(number, { registered: false });
+        await validator.validate(number);
+
+        expect(seen).toEqual([BanType.NONE]);
+    });
+
+    test('a failed registration check is not posted', async () => {
+        receiver = await startReceiver();
+        const webhook = setup();
+
+        conn.setScenario(number, { onWhatsApp: { error: { statusCode: 429 } } });
+        await validator.validate(number);
+        await webhook.flush();
+
+        expect(webhook.getStats().queued).toBe(0);
+        expect(receiver.requests).toHaveLength(0);
+    });
+
+    test('destroy() keeps retrying until the drain deadline', async () => {
+        receiver = await startReceiver([503, 503]);
+        const deadLetterPath = path.join(dir, 'dead.ndjson');
+        const webhook = setup({ deadLetterPath, flushInterval: 60000 });
+
+        await validator.validate(number);
+        await webhook.destroy();
+
+        expect(receiver.requests).toHaveLength(3);
+        expect(webhook.getStats()).toMatchObject({ delivered: 1, retries: 2, deadLettered: 0 });
+        expect(fs.existsSync(deadLetterPath)).toBe(false);
+    });
+
+    test('destroy() dead-letters what is still retrying at the deadline', async () => {
+        receiver = await startReceiver([503, 503, 503, 503]);
+        const deadLetterPath = path.join(dir, 'dead.ndjson');
+        const webhook = setup({ deadLetterPath, flushInterval: 60000, initialDelay: 1000, drainTimeout: 50 });
+
+        await validator.validate(number);
+        await webhook.destroy();
+
+        const [record] = fs.readFileSync(deadLetterPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(record).toMatchObject({ reason: 'shutdown', attempts: 1, status: 503 });
+        expect(record.payload.events).toHaveLength(1);
+    });
+});